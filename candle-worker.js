@@ -0,0 +1,56 @@
+// Candle aggregation worker
+//
+// Keeps trade sets by key (e.g. 'main' for the selected pair) so a timeframe or
+// inversion change only needs an 'aggregate' message instead of re-sending history.
+//
+// Messages in:
+//   { type: 'setTrades', key, trades }             replace a trade set
+//   { type: 'addTrades', key, trades }             merge trades into a set (deduplicated by event id)
+//   { type: 'clear', key }                         drop a trade set
+//   { type: 'aggregate', key, requestId, options } aggregate a set with processSwapEvents options
+//
+// Messages out:
+//   { type: 'candles', key, requestId, candles, volumes }
+//   { type: 'error', key, requestId, message }
+importScripts('dex-client.js');
+
+const tradeSets = new Map();
+
+function tradeKey(trade) {
+    return trade.id ?? `${trade.txHash}:${trade.timestampStr}`;
+}
+
+self.onmessage = event => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'setTrades':
+            tradeSets.set(message.key, message.trades);
+            break;
+
+        case 'addTrades': {
+            const existing = tradeSets.get(message.key) || [];
+            const knownTrades = new Set(existing.map(tradeKey));
+            const newTrades = message.trades.filter(trade => !knownTrades.has(tradeKey(trade)));
+            tradeSets.set(message.key, existing.concat(newTrades));
+            break;
+        }
+
+        case 'clear':
+            tradeSets.delete(message.key);
+            break;
+
+        case 'aggregate':
+            try {
+                const trades = tradeSets.get(message.key) || [];
+                const { candles, volumes } = XianDex.processSwapEvents(trades, message.options);
+                self.postMessage({ type: 'candles', key: message.key, requestId: message.requestId, candles, volumes });
+            } catch (error) {
+                self.postMessage({ type: 'error', key: message.key, requestId: message.requestId, message: error.message });
+            }
+            break;
+
+        default:
+            console.warn(`Unknown candle worker message type: ${message.type}`);
+    }
+};
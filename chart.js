@@ -11,7 +11,8 @@ function debounce(func, delay) {
 
 class ChartController {
     constructor() {
-        this.GRAPHQL_ENDPOINT = 'https://node.xian.org/graphql';
+        this.network = this.resolveNetwork(); // Active network profile (GraphQL, explorer, pairs contract)
+        this.client = this.createClient(this.network); // DOM-free data access
         this.isInverted = true; // Track whether the pair is inverted
         this.pairs = []; // Will store all pairs
         this.currentPair = null; // Currently selected pair
@@ -24,18 +25,121 @@ class ChartController {
         this.liveUpdateTimer = null; // Timer for live updates
         this.isLiveUpdating = false; // Flag to prevent overlapping updates
         
-        // Add timeframe configuration
-        this.timeframes = [
-            { label: '1m', minutes: 1 },
-            { label: '5m', minutes: 5 },
-            { label: '10m', minutes: 10 },
-            { label: '15m', minutes: 15 },
-            { label: '30m', minutes: 30 },
-            { label: '1h', minutes: 60 },
-            { label: '4h', minutes: 240 },
-            { label: '1d', minutes: 1440 }
+        // Swap history pagination properties
+        this.historyPageSize = 1000; // Number of swaps requested per history page
+        this.historyCursor = null; // endCursor of the oldest history page loaded so far
+        this.hasMoreHistory = false; // Whether older swaps remain on the server
+        this.isLoadingHistory = false; // Flag to prevent overlapping page loads
+        this.historyGeneration = 0; // Incremented on every fresh load to discard stale pages
+        this.historyBefore = null; // Only page through swaps older than this timestamp (set when resuming from cache)
+        this.pairRequestController = null; // Aborts requests for the previous pair when switching quickly
+        this.chartLoadFailed = false; // Set when the node couldn't be reached, cleared by a successful load
+        this.pairsLoadFailed = false; // Same for the pair list
+        
+        // Persistent per-pair trade cache (IndexedDB)
+        this.tradeCache = new TradeCache();
+        
+        // Off-main-thread candle aggregation
+        this.candleRefreshId = 0; // Incremented per refresh so only the latest result is drawn
+        this.initCandleWorker();
+        
+        // Indicator overlays and oscillator panes, recomputed whenever the drawn candles change
+        this.indicatorConfigs = this.loadIndicatorConfigs(); // [{ id, type, color, ...params }]
+        this.indicatorSeries = new Map(); // config id -> { lines: { lineName: series }, priceLines }
+        this.currentCandles = []; // Candles currently on the chart
+        this.currentVolumes = []; // Volume bars currently on the chart
+        
+        // Other pairs overlaid as lines, pair id -> { pair, color, series, trades, lastTimestampStr }.
+        // Their candles are aggregated in the worker under 'compare:<pair id>'.
+        this.comparisons = new Map();
+        this.compareRequestController = new AbortController();
+        
+        // Quote in USD: prices re-quoted through the USDC pair, directly or via XIAN.
+        // Legs are findRoute legs plus { pair, trades, prices, lastTimestampStr }.
+        this.quoteCurrency = localStorage.getItem('quoteCurrency') === 'usd' ? 'usd' : 'pair';
+        this.usdLegs = null; // Route of the current quote token, null until loaded or without a route
+        this.usdRequestController = new AbortController();
+        this.pairsInverted = false; // Orientation this.pairs' prices and changes were fetched in
+        
+        // Route legs of a synthetic current pair with their own swaps,
+        // findRoute legs plus { pair, trades, lastTimestampStr }
+        this.syntheticLegs = null;
+        
+        // Buy/sell arrows for individual swaps on the price series
+        this.tradeMarkerSettings = this.loadTradeMarkerSettings(); // { enabled, minValue, signer }
+        this.tradeMarkers = null; // Series markers plugin, recreated with the price series
+        this.tradeMarkersSeries = null;
+        this.markedTrades = new Map(); // marker id -> trade, for the hover tooltip
+        
+        // Synthetic order book from the pool reserves, shown in a side panel
+        this.depthChart = null;
+        this.pairReserves = null; // { reserve0, reserve1 } of the current pair
+
+        // Swap calculator on the same reserves, its post-trade price drawn as a price line
+        this.swapInput = { side: 'buy', amount: '' }; // side of the base token, amount paid
+        this.swapPriceLine = null;
+        this.swapPriceLineSeries = null;
+
+        // Reserve and TVL history in a pane under volume
+        this.showTvlPane = localStorage.getItem('showTvlPane') === 'true';
+        this.reserveChanges = []; // Reserve state changes of the current pair, { id, reserve, value, timestamp }
+        this.reservePoints = []; // XianDex.reserveHistory() of reserveChanges
+        this.tvlSeries = null; // { base, quote, tvl } line series while the pane is shown
+        
+        // Pairs panel order, { column: 'volume' | 'tvl' | 'change', descending }
+        this.pairsSort = this.loadPairsSort();
+        
+        // Trend lines, levels and notes over the price pane, saved per pair
+        this.drawingTools = null;
+        
+        // Add timeframe configuration. 1W and 1M are calendar weeks and months,
+        // custom timeframes entered by the user are appended and remembered.
+        this.timeframes = ['1m', '5m', '10m', '15m', '30m', '1h', '4h', '1d', '1W', '1M']
+            .map(label => XianDex.parseTimeframe(label));
+        this.loadCustomTimeframes().forEach(timeframe => this.addTimeframe(timeframe));
+        this.currentTimeframe = this.timeframes.find(tf => tf.label === '1h') || this.timeframes[0]; // Default to 1h
+        
+        // Price pane style. Heikin-Ashi and Renko bars are derived from the aggregated candles.
+        this.chartTypes = [
+            { id: 'candles', label: 'Candles' },
+            { id: 'bars', label: 'Bars' },
+            { id: 'line', label: 'Line' },
+            { id: 'area', label: 'Area' },
+            { id: 'heikinashi', label: 'Heikin-Ashi' },
+            { id: 'renko', label: 'Renko' }
+        ];
+        this.chartType = 'candles';
+        this.renkoBoxSize = null; // In displayed price units, null picks one from the ATR
+        
+        // Intervals without trades and where candles open, remembered in the browser.
+        // See XianDex.FILL_MODES and OPEN_MODES.
+        this.candleFillModes = [
+            { id: 'flat', label: 'Gaps: flat' },
+            { id: 'skip', label: 'Gaps: skip' },
+            { id: 'whitespace', label: 'Gaps: blank' }
         ];
-        this.currentTimeframe = this.timeframes.find(tf => tf.minutes === 60) || this.timeframes[0]; // Default to 1h
+        this.candleOpenModes = [
+            { id: 'previous', label: 'Open: last close' },
+            { id: 'first', label: 'Open: first trade' }
+        ];
+        this.candleFill = XianDex.FILL_MODES.includes(localStorage.getItem('candleFill'))
+            ? localStorage.getItem('candleFill')
+            : 'flat';
+        this.candleOpen = XianDex.OPEN_MODES.includes(localStorage.getItem('candleOpen'))
+            ? localStorage.getItem('candleOpen')
+            : 'previous';
+        this.aggregatedCandles = []; // Candles before the chart-type transform
+        this.aggregatedVolumes = [];
+        
+        // Right price scale modes, remembered per pair. Percentage and indexed are
+        // relative to the first visible bar.
+        this.priceScaleModes = [
+            { mode: 0, label: 'Linear' },
+            { mode: 1, label: 'Logarithmic' },
+            { mode: 2, label: 'Percentage' },
+            { mode: 3, label: 'Indexed to 100' }
+        ];
+        this.priceScaleMode = 0;
         this.activeThemeClassName = ''; // Initialize active theme class name
         this.themeSelect = null; // Initialize theme select element reference
 
@@ -55,10 +159,23 @@ class ChartController {
         
         // Initialize Modal, Theme Selector, and load saved theme
         this.initModalControls();
+        this.initPairsSorting();
         this.populateThemeSelector();
         this.initThemeSelector();
         this.loadSavedTheme(); // This will call applyTheme with isInitialLoad = true
         
+        // Initialize Network Selector
+        this.populateNetworkSelector();
+        this.initNetworkSelector();
+        
+        const clearCacheButton = document.getElementById('clear-trade-cache');
+        if (clearCacheButton) {
+            clearCacheButton.addEventListener('click', () => this.clearTradeCache());
+        }
+        
+        // Connection status indicator, click it to retry while offline
+        this.initConnectionStatus();
+        
         // Chart initialization will happen after loading pairs
         this.loadPairsAndInitialize(); // This is now async
 
@@ -196,7 +313,6 @@ class ChartController {
             try {
                 const row = document.createElement('tr');
                 const time = trade.timestamp; // Already a UTC Date object
-                const data = trade.data;
                 
                 // Format time in UTC and explicitly label it - same as desktop
                 const hours = time.getUTCHours();
@@ -209,36 +325,7 @@ class ChartController {
                     (time.getUTCMonth() + 1).toString().padStart(2, '0')}-${
                     time.getUTCFullYear()}`;
                 
-                // Determine trade type - same as desktop
-                const tradeType = this.determineTradeType(data);
-                
-                // Calculate trade amounts - same as desktop
-                const amount0In = parseFloat(data.amount0In) || 0;
-                const amount0Out = parseFloat(data.amount0Out) || 0;
-                const amount1In = parseFloat(data.amount1In) || 0;
-                const amount1Out = parseFloat(data.amount1Out) || 0;
-                
-                // Calculate price - same as desktop
-                let price = 0;
-                if (amount0Out > 0 && amount1In > 0) {
-                    price = amount1In / amount0Out;
-                } else if (amount0In > 0 && amount1Out > 0) {
-                    price = amount1Out / amount0In;
-                }
-                
-                if (this.isInverted && price > 0) {
-                    price = 1 / price;
-                }
-                
-                // Set amount and value based on trade type - same as desktop
-                let amount, value;
-                if (tradeType === 'BUY') {
-                    amount = this.isInverted ? amount1Out : amount0Out;
-                    value = this.isInverted ? amount0In : amount1In;
-                } else {
-                    amount = this.isInverted ? amount1In : amount0In;
-                    value = this.isInverted ? amount0Out : amount1Out;
-                }
+                const { tradeType, price, amount, value } = this.getTradeDetails(trade);
                 
                 // Get maker address and transaction hash - same as desktop
                 const maker = trade.signer || '';
@@ -253,11 +340,11 @@ class ChartController {
                     tradeType,
                     price.toFixed(6),
                     `${amount.toFixed(4)} ${this.isInverted ? symbol1 : symbol0}`,
-                    `${value.toFixed(4)} ${this.isInverted ? symbol0 : symbol1}`,
+                    `${value.toFixed(4)} ${this.getQuoteSymbol()}`,
                     `<div style="display: flex; justify-content: space-between; align-items: center;">
                         <span>${makerShort}</span>
-                        ${trade.txHash ? `
-                            <a href="https://explorer.xian.org/tx/${trade.txHash}" 
+                        ${trade.txHash && this.network.explorerUrl ? `
+                            <a href="${this.network.explorerUrl}/tx/${trade.txHash}" 
                                class="maker-link" 
                                target="_blank" 
                                rel="noopener noreferrer"
@@ -317,18 +404,32 @@ class ChartController {
             
             // Set pair from query params or default to first pair
             this.currentPair = params.pair ? 
-                this.pairs.find(p => p.id === params.pair) : 
+                this.getPairById(params.pair) : 
                 this.pairs[0];
                 
             // Set timeframe from query params or keep default
+            // Accepts minutes (tf=60) as well as labels (tf=2h, tf=1W)
             if (params.timeframe) {
-                const minutes = parseInt(params.timeframe);
-                this.currentTimeframe = this.timeframes.find(tf => tf.minutes === minutes) || this.currentTimeframe;
+                const timeframe = XianDex.parseTimeframe(params.timeframe);
+                if (timeframe) {
+                    this.currentTimeframe = this.addTimeframe(timeframe);
+                }
             }
             
             // Set inversion from query params or keep default
             this.isInverted = params.inverted !== undefined ? params.inverted : this.isInverted;
             
+            if (this.chartTypes.some(type => type.id === params.chartType)) {
+                this.chartType = params.chartType;
+            }
+            const boxSize = parseFloat(params.boxSize);
+            this.renkoBoxSize = boxSize > 0 ? boxSize : null;
+            
+            // A shared link overrides the remembered quote currency without replacing it
+            if (params.quote) {
+                this.quoteCurrency = params.quote === 'usd' ? 'usd' : 'pair';
+            }
+            
             // Update selectors to match current state
             this.updateSelectorsFromState();
             
@@ -349,7 +450,10 @@ class ChartController {
             
         } catch (err) {
             loading.style.display = 'none';
-            error.textContent = 'Error loading pairs: ' + err.message;
+            this.pairsLoadFailed = true;
+            error.textContent = this.isConnectionError(err)
+                ? `Cannot reach the ${this.network.name} node (${err.message}). Click the connection status to retry.`
+                : 'Error loading pairs: ' + err.message;
             error.style.display = 'block';
             console.error('Initialization error:', err);
         }
@@ -358,196 +462,9 @@ class ChartController {
     async fetchAllPairs() {
         console.log('Fetching all trading pairs...');
         
-        // Get current time and 24h ago in ISO format
-        const now = new Date();
-        const twentyFourHoursAgo = new Date(now - 24 * 60 * 60 * 1000);
-        const iso_string_24h_ago = twentyFourHoursAgo.toISOString();
-        
-        // First get all pairs and their latest swaps in a single query
-        const query = `
-            query GetPairsAndPrices {
-                pairs: allEvents(
-                    condition: {contract: "con_pairs", event: "PairCreated"}
-                ) {
-                    edges {
-                        node {
-                            dataIndexed
-                            data
-                        }
-                    }
-                }
-                currentPrices: allEvents(
-                    condition: {contract: "con_pairs", event: "Swap"}
-                    orderBy: CREATED_DESC
-                ) {
-                    edges {
-                        node {
-                            dataIndexed
-                            data
-                            created
-                        }
-                    }
-                }
-                historicalPrices: allEvents(
-                    condition: {contract: "con_pairs", event: "Swap"}
-                    filter: {created: {greaterThan: "${iso_string_24h_ago}"}}
-                    orderBy: CREATED_ASC
-                ) {
-                    edges {
-                        node {
-                            dataIndexed
-                            data
-                            created
-                        }
-                    }
-                }
-            }
-        `;
-        
         try {
-            // Fetch all data in a single query
-            const response = await fetch(this.GRAPHQL_ENDPOINT, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ query })
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            console.log('API response:', data);
-            
-            if (!data.data?.pairs?.edges) {
-                throw new Error('Unexpected API response structure: missing pairs data');
-            }
-            
-            // Process pairs first
-            this.pairs = data.data.pairs.edges.map(edge => {
-                const dataIndexed = typeof edge.node.dataIndexed === 'string' 
-                    ? JSON.parse(edge.node.dataIndexed) 
-                    : edge.node.dataIndexed;
-                    
-                const pairData = typeof edge.node.data === 'string'
-                    ? JSON.parse(edge.node.data)
-                    : edge.node.data;
-                
-                return {
-                    id: pairData.pair,
-                    token0: dataIndexed.token0,
-                    token1: dataIndexed.token1,
-                    volume24h: 0,
-                    currentPrice: null,
-                    priceChange: null
-                };
-            });
-            
-            // Create maps for quick lookup
-            const pairsMap = new Map(this.pairs.map(pair => [pair.id, pair]));
-            
-            // Process current prices
-            if (data.data.currentPrices?.edges) {
-                const currentPrices = new Map();
-                
-                for (const edge of data.data.currentPrices.edges) {
-                    const dataIndexed = typeof edge.node.dataIndexed === 'string'
-                        ? JSON.parse(edge.node.dataIndexed)
-                        : edge.node.dataIndexed;
-                    const swapData = typeof edge.node.data === 'string'
-                        ? JSON.parse(edge.node.data)
-                        : edge.node.data;
-                    
-                    const pairId = dataIndexed.pair;
-                    if (!currentPrices.has(pairId)) {
-                        const price = this.calculatePrice(dataIndexed, swapData);
-                        if (price !== null) {
-                            currentPrices.set(pairId, price);
-                        }
-                    }
-                }
-                
-                // Update pairs with current prices
-                for (const [pairId, price] of currentPrices) {
-                    const pair = pairsMap.get(pairId);
-                    if (pair) {
-                        pair.currentPrice = price;
-                    }
-                }
-            }
-            
-            // Process historical prices and calculate price changes
-            if (data.data.historicalPrices?.edges) {
-                const historicalPrices = new Map();
-                
-                for (const edge of data.data.historicalPrices.edges) {
-                    const dataIndexed = typeof edge.node.dataIndexed === 'string'
-                        ? JSON.parse(edge.node.dataIndexed)
-                        : edge.node.dataIndexed;
-                    const swapData = typeof edge.node.data === 'string'
-                        ? JSON.parse(edge.node.data)
-                        : edge.node.data;
-                    
-                    const pairId = dataIndexed.pair;
-                    if (!historicalPrices.has(pairId)) {
-                        const price = this.calculatePrice(dataIndexed, swapData);
-                        if (price !== null && !isNaN(price) && price > 0) {
-                            historicalPrices.set(pairId, price);
-                        }
-                    }
-                }
-                
-                // Calculate price changes
-                for (const pair of this.pairs) {
-                    const currentPrice = pair.currentPrice;
-                    const historicalPrice = historicalPrices.get(pair.id);
-                    
-                    if (currentPrice !== null && !isNaN(currentPrice) && 
-                        historicalPrice !== null && !isNaN(historicalPrice) && 
-                        historicalPrice > 0) {
-                        pair.priceChange = ((currentPrice - historicalPrice) / historicalPrice) * 100;
-                    } else {
-                        pair.priceChange = 0;
-                    }
-                }
-            }
-            
-            // Fetch 24h volume for each pair
-            const volumePromises = this.pairs.map(async pair => {
-                try {
-                    // Make two requests, one for each token in the pair
-                    const [volume0Res, volume1Res] = await Promise.all([
-                        fetch(`https://xian-api.poc.workers.dev/pairs/${pair.id}/volume24h?token=0`, {
-                            headers: { 'accept': 'application/json' }
-                        }),
-                        fetch(`https://xian-api.poc.workers.dev/pairs/${pair.id}/volume24h?token=1`, {
-                            headers: { 'accept': 'application/json' }
-                        })
-                    ]);
-
-                    if (!volume0Res.ok || !volume1Res.ok) {
-                        console.error(`Failed to fetch volume for pair ${pair.id}`);
-                        return;
-                    }
-
-                    const [volume0Data, volume1Data] = await Promise.all([
-                        volume0Res.json(),
-                        volume1Res.json()
-                    ]);
-
-                    // Use token1's volume (quote token) for display
-                    if (volume1Data && typeof volume1Data.volume24h === 'number') {
-                        pair.volume24h = volume1Data.volume24h;
-                    }
-                } catch (error) {
-                    console.error(`Error fetching volume for pair ${pair.id}:`, error);
-                }
-            });
-
-            // Wait for all volume requests to complete
-            await Promise.all(volumePromises);
+            this.pairs = await this.client.fetchAllPairs({ inverted: this.isInverted });
+            this.pairsInverted = this.isInverted;
             
             console.log('Processed pairs with price changes:', this.pairs);
             
@@ -563,109 +480,59 @@ class ChartController {
             // Fetch token metadata for all tokens at once
             await this.fetchTokensMetadata(Array.from(uniqueTokens));
             
+            await this.fetchPairsReserves();
+            
             // Update pair selector with the loaded pairs
             this.updatePairSelector();
             
-            // Update pairs panel - REMOVED: Now called in loadPairsAndInitialize after currentPair is set
-            
         } catch (error) {
             console.error('Error fetching pairs:', error);
             throw error; // Re-throw to be handled by the caller
         }
     }
     
+    // Current reserves of every pair for the TVL column, the panel works without them
+    async fetchPairsReserves() {
+        try {
+            const reserves = await this.client.fetchPairsReserves(this.pairs.map(pair => pair.id));
+            this.pairs.forEach(pair => {
+                const pairReserves = reserves.get(pair.id);
+                pair.reserve0 = pairReserves ? pairReserves.reserve0 : null;
+                pair.reserve1 = pairReserves ? pairReserves.reserve1 : null;
+            });
+        } catch (error) {
+            console.error('Error fetching pair reserves:', error);
+        }
+    }
+    
     async fetchTokensMetadata(tokenContracts) {
-        if (tokenContracts.length === 0) return;
-        
-        console.log(`Building metadata query for ${tokenContracts.length} tokens`);
+        // Skip tokens we already have metadata for
+        const missingTokens = tokenContracts.filter(token => !this.tokens.has(token));
         
-        // Build a combined GraphQL query for all tokens
-        let query = '';
-        
-        // Symbol queries
-        tokenContracts.forEach((token, index) => {
-            // Skip if we already have this token's metadata
-            if (this.tokens.has(token)) return;
-            
-            query += `
-                symbol_${index}: allStates(condition: {key: "${token}.metadata:token_symbol"}) {
-                    nodes {
-                        key
-                        value
-                    }
-                }
-                logo_${index}: allStates(condition: {key: "${token}.metadata:token_logo_url"}) {
-                    nodes {
-                        key
-                        value
-                    }
-                }
-            `;
-        });
-        
-        // If we have no tokens to fetch, return early
-        if (!query) {
+        if (missingTokens.length === 0) {
             console.log('No new tokens to fetch metadata for');
             return;
         }
         
-        // Wrap in a query operation
-        const fullQuery = `
-            query GetTokensMetadata {
-                ${query}
-            }
-        `;
-        
-        console.log('Executing token metadata query');
+        console.log(`Fetching metadata for ${missingTokens.length} tokens`);
         
         try {
-            const response = await fetch(this.GRAPHQL_ENDPOINT, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ query: fullQuery })
-            });
-            
-            const data = await response.json();
-            console.log('Token metadata response:', data);
-            
-            if (!data.data) {
-                console.error('Error fetching token metadata:', data);
-                return;
-            }
+            const metadata = await this.client.fetchTokensMetadata(missingTokens);
             
-            // Process the results
-            tokenContracts.forEach((token, index) => {
-                // Skip if we already have this token's metadata
-                if (this.tokens.has(token)) return;
-                
-                const symbolData = data.data[`symbol_${index}`]?.nodes[0]?.value;
-                const logoData = data.data[`logo_${index}`]?.nodes[0]?.value;
-                
-                // Extract token contract from key if possible
-                const symbol = symbolData || token;
-                const logo = logoData || null;
-                
-                // Store token metadata
-                this.tokens.set(token, {
-                    contract: token,
-                    symbol: typeof symbol === 'string' ? symbol : JSON.stringify(symbol),
-                    logo: logo
-                });
-                
-                console.log(`Token ${token} metadata: Symbol=${this.tokens.get(token).symbol}, Has Logo=${!!logo}`);
+            metadata.forEach((tokenMetadata, token) => {
+                this.tokens.set(token, tokenMetadata);
+                console.log(`Token ${token} metadata: Symbol=${tokenMetadata.symbol}, Has Logo=${!!tokenMetadata.logo}`);
             });
         } catch (error) {
             console.error('Error fetching metadata for tokens:', error);
             
             // Store basic info for tokens we couldn't get metadata for
-            tokenContracts.forEach(token => {
-                if (!this.tokens.has(token)) {
-                    this.tokens.set(token, {
-                        contract: token,
-                        symbol: token,
-                        logo: null
-                    });
-                }
+            missingTokens.forEach(token => {
+                this.tokens.set(token, {
+                    contract: token,
+                    symbol: token,
+                    logo: null
+                });
             });
         }
     }
@@ -772,22 +639,36 @@ class ChartController {
 
         // Add timeframe change handler
         this.timeframeSelect.addEventListener('change', () => {
-            const minutes = parseInt(this.timeframeSelect.value);
-            this.currentTimeframe = this.timeframes.find(tf => tf.minutes === minutes);
+            if (this.timeframeSelect.value === 'custom') {
+                const timeframe = this.promptCustomTimeframe();
+                if (!timeframe) {
+                    this.timeframeSelect.value = this.currentTimeframe.label;
+                    return;
+                }
+                this.currentTimeframe = timeframe;
+                this.timeframeSelect.value = timeframe.label;
+            } else {
+                this.currentTimeframe = this.timeframes.find(tf => tf.label === this.timeframeSelect.value);
+            }
             console.log(`Timeframe changed to: ${this.currentTimeframe.label}`);
             this.updateQueryParams();
-            this.loadChartData();
+            this.refreshCandles();
         });
 
         // Add invert button click handler
         invertButton.addEventListener('click', async () => {
-            const visibleRange = this.chart.timeScale().getVisibleRange();
             this.isInverted = !this.isInverted;
+            
+            // The other token is now the quote, it needs its own route to USDC
+            this.loadUsdRoute();
+            
             this.updateChartTitle();
             this.updateQueryParams();
             this.updateTradeHistory();
+            this.renderDepth();
+            this.renderSwapCalculator();
             
-            if (this.candlestickSeries) {
+            if (this.priceSeries) {
                 this.chart.priceScale('right').applyOptions({
                     autoScale: true,
                     scaleMargins: {
@@ -797,20 +678,11 @@ class ChartController {
                 });
             }
             
-            await this.loadChartData();
-            
-            if (visibleRange) {
-                this.chart.timeScale().setVisibleRange(visibleRange);
-            }
+            await this.refreshCandles({ preserveView: true });
         });
         
         // Add timeframe options
-        this.timeframes.forEach(tf => {
-            const option = document.createElement('option');
-            option.value = tf.minutes;
-            option.textContent = tf.label;
-            this.timeframeSelect.appendChild(option);
-        });
+        this.renderTimeframeOptions();
         
         // Set initial pair button text
         this.updatePairButtonText();
@@ -818,10 +690,298 @@ class ChartController {
         timeframeGroup.appendChild(timeframeLabel);
         timeframeGroup.appendChild(this.timeframeSelect);
         
+        // Chart type selector, with the box size input shown for Renko
+        const chartTypeGroup = document.createElement('div');
+        chartTypeGroup.style.display = 'flex';
+        chartTypeGroup.style.alignItems = 'center';
+        chartTypeGroup.style.gap = '4px';
+        chartTypeGroup.style.flexShrink = '0';
+        
+        this.chartTypeSelect = document.createElement('select');
+        this.chartTypeSelect.className = 'timeframe-select';
+        this.chartTypeSelect.title = 'Chart type';
+        this.chartTypeSelect.style.padding = '4px 8px';
+        this.chartTypeSelect.style.borderRadius = '4px';
+        this.chartTypeSelect.style.border = '1px solid #3a3a3a';
+        
+        this.chartTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.id;
+            option.textContent = type.label;
+            this.chartTypeSelect.appendChild(option);
+        });
+        this.chartTypeSelect.value = this.chartType;
+        
+        this.renkoBoxInput = document.createElement('input');
+        this.renkoBoxInput.type = 'number';
+        this.renkoBoxInput.min = '0';
+        this.renkoBoxInput.step = 'any';
+        this.renkoBoxInput.placeholder = 'Box: auto';
+        this.renkoBoxInput.title = 'Renko box size in displayed price units, empty for ATR(14)';
+        this.renkoBoxInput.className = 'timeframe-select';
+        this.renkoBoxInput.style.padding = '4px 8px';
+        this.renkoBoxInput.style.borderRadius = '4px';
+        this.renkoBoxInput.style.border = '1px solid #3a3a3a';
+        this.renkoBoxInput.style.width = '90px';
+        this.renkoBoxInput.style.display = this.chartType === 'renko' ? '' : 'none';
+        
+        this.chartTypeSelect.addEventListener('change', () => {
+            this.setChartType(this.chartTypeSelect.value);
+        });
+        
+        this.renkoBoxInput.addEventListener('change', () => {
+            const boxSize = parseFloat(this.renkoBoxInput.value);
+            this.renkoBoxSize = boxSize > 0 ? boxSize : null;
+            if (!this.renkoBoxSize) {
+                this.renkoBoxInput.value = '';
+            }
+            this.updateQueryParams();
+            this.redrawChartData();
+        });
+        
+        // Gap and open handling of the aggregated candles
+        const createCandleModeSelect = (modes, value, title, onChange) => {
+            const select = document.createElement('select');
+            select.className = 'timeframe-select';
+            select.title = title;
+            select.style.padding = '4px 8px';
+            select.style.borderRadius = '4px';
+            select.style.border = '1px solid #3a3a3a';
+            
+            modes.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode.id;
+                option.textContent = mode.label;
+                select.appendChild(option);
+            });
+            select.value = value;
+            select.addEventListener('change', () => onChange(select.value));
+            return select;
+        };
+        
+        const candleFillSelect = createCandleModeSelect(this.candleFillModes, this.candleFill,
+            'Intervals without trades: flat candles at the last close, left out, or blank space',
+            fill => this.setCandleModes({ fill }));
+        const candleOpenSelect = createCandleModeSelect(this.candleOpenModes, this.candleOpen,
+            'Open each candle at the previous close or at its first trade',
+            open => this.setCandleModes({ open }));
+        
+        chartTypeGroup.appendChild(this.chartTypeSelect);
+        chartTypeGroup.appendChild(this.renkoBoxInput);
+        chartTypeGroup.appendChild(candleFillSelect);
+        chartTypeGroup.appendChild(candleOpenSelect);
+        
+        // Price scale mode selector, also reachable by right-clicking the scale
+        this.priceScaleSelect = document.createElement('select');
+        this.priceScaleSelect.className = 'timeframe-select';
+        this.priceScaleSelect.title = 'Price scale';
+        this.priceScaleSelect.style.padding = '4px 8px';
+        this.priceScaleSelect.style.borderRadius = '4px';
+        this.priceScaleSelect.style.border = '1px solid #3a3a3a';
+        
+        this.priceScaleModes.forEach(scale => {
+            const option = document.createElement('option');
+            option.value = scale.mode;
+            option.textContent = scale.label;
+            this.priceScaleSelect.appendChild(option);
+        });
+        this.priceScaleSelect.value = this.priceScaleMode;
+        
+        this.priceScaleSelect.addEventListener('change', () => {
+            this.setPriceScaleMode(parseInt(this.priceScaleSelect.value));
+        });
+        
+        // Quote currency, USD goes through the USDC pair
+        this.quoteSelect = document.createElement('select');
+        this.quoteSelect.className = 'timeframe-select';
+        this.quoteSelect.title = 'Quote currency';
+        this.quoteSelect.style.padding = '4px 8px';
+        this.quoteSelect.style.borderRadius = '4px';
+        this.quoteSelect.style.border = '1px solid #3a3a3a';
+        
+        [['pair', 'Pair quote'], ['usd', 'USD']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.quoteSelect.appendChild(option);
+        });
+        this.quoteSelect.value = this.quoteCurrency;
+        
+        this.quoteSelect.addEventListener('change', () => {
+            this.setQuoteCurrency(this.quoteSelect.value);
+        });
+        
+        // Indicators button opens a panel to add, tune and remove overlays
+        const indicatorsButton = document.createElement('button');
+        indicatorsButton.textContent = 'Indicators';
+        indicatorsButton.className = 'toggle-button';
+        indicatorsButton.style.padding = '4px 12px';
+        indicatorsButton.style.backgroundColor = '#3a3a3a';
+        indicatorsButton.style.border = '1px solid var(--secondary-accent)';
+        indicatorsButton.style.borderRadius = '4px';
+        indicatorsButton.style.color = 'var(--text-color)';
+        indicatorsButton.style.cursor = 'pointer';
+        indicatorsButton.style.transition = 'all 0.2s ease';
+        
+        indicatorsButton.addEventListener('mouseover', () => {
+            indicatorsButton.style.backgroundColor = 'var(--secondary-accent)';
+        });
+        
+        indicatorsButton.addEventListener('mouseout', () => {
+            indicatorsButton.style.backgroundColor = '#3a3a3a';
+        });
+        
+        this.createIndicatorPanel(indicatorsButton);
+        
+        // Trades button opens the trade marker options
+        const markersButton = document.createElement('button');
+        markersButton.textContent = 'Trades';
+        markersButton.className = 'toggle-button';
+        markersButton.style.padding = '4px 12px';
+        markersButton.style.backgroundColor = '#3a3a3a';
+        markersButton.style.border = '1px solid var(--secondary-accent)';
+        markersButton.style.borderRadius = '4px';
+        markersButton.style.color = 'var(--text-color)';
+        markersButton.style.cursor = 'pointer';
+        markersButton.style.transition = 'all 0.2s ease';
+        
+        markersButton.addEventListener('mouseover', () => {
+            markersButton.style.backgroundColor = 'var(--secondary-accent)';
+        });
+        
+        markersButton.addEventListener('mouseout', () => {
+            markersButton.style.backgroundColor = '#3a3a3a';
+        });
+        
+        this.createTradeMarkerPanel(markersButton);
+        
+        // Cross button opens a picker for any two tokens, priced through XIAN when
+        // they have no pool of their own
+        const crossButton = document.createElement('button');
+        crossButton.textContent = 'Cross';
+        crossButton.title = 'Chart any two tokens';
+        crossButton.className = 'toggle-button';
+        crossButton.style.padding = '4px 12px';
+        crossButton.style.backgroundColor = '#3a3a3a';
+        crossButton.style.border = '1px solid var(--secondary-accent)';
+        crossButton.style.borderRadius = '4px';
+        crossButton.style.color = 'var(--text-color)';
+        crossButton.style.cursor = 'pointer';
+        crossButton.style.transition = 'all 0.2s ease';
+        
+        crossButton.addEventListener('mouseover', () => {
+            crossButton.style.backgroundColor = 'var(--secondary-accent)';
+        });
+        
+        crossButton.addEventListener('mouseout', () => {
+            crossButton.style.backgroundColor = '#3a3a3a';
+        });
+        
+        this.createCrossPairPanel(crossButton);
+        
+        // Depth opens the liquidity depth panel next to the candles
+        const depthButton = document.createElement('button');
+        depthButton.textContent = 'Depth';
+        depthButton.className = 'toggle-button';
+        depthButton.style.padding = '4px 12px';
+        depthButton.style.backgroundColor = '#3a3a3a';
+        depthButton.style.border = '1px solid var(--secondary-accent)';
+        depthButton.style.borderRadius = '4px';
+        depthButton.style.color = 'var(--text-color)';
+        depthButton.style.cursor = 'pointer';
+        depthButton.style.transition = 'all 0.2s ease';
+        
+        depthButton.addEventListener('mouseover', () => {
+            depthButton.style.backgroundColor = 'var(--secondary-accent)';
+        });
+        
+        depthButton.addEventListener('mouseout', () => {
+            depthButton.style.backgroundColor = '#3a3a3a';
+        });
+        
+        depthButton.addEventListener('click', () => this.toggleDepthPanel());
+        
+        // TVL button shows the reserve history pane under volume
+        const tvlButton = document.createElement('button');
+        tvlButton.textContent = 'TVL';
+        tvlButton.title = 'Pool reserves and TVL over time';
+        tvlButton.className = 'toggle-button';
+        tvlButton.style.padding = '4px 12px';
+        tvlButton.style.backgroundColor = '#3a3a3a';
+        tvlButton.style.border = '1px solid var(--secondary-accent)';
+        tvlButton.style.borderRadius = '4px';
+        tvlButton.style.color = 'var(--text-color)';
+        tvlButton.style.cursor = 'pointer';
+        tvlButton.style.transition = 'all 0.2s ease';
+        
+        tvlButton.addEventListener('mouseover', () => {
+            tvlButton.style.backgroundColor = 'var(--secondary-accent)';
+        });
+        
+        tvlButton.addEventListener('mouseout', () => {
+            tvlButton.style.backgroundColor = '#3a3a3a';
+        });
+        
+        tvlButton.addEventListener('click', () => this.setTvlPaneVisible(!this.showTvlPane));
+        
+        // Swap opens the price impact calculator
+        const swapButton = document.createElement('button');
+        swapButton.textContent = 'Swap';
+        swapButton.title = 'Price impact of a swap in this pool';
+        swapButton.className = 'toggle-button';
+        swapButton.style.padding = '4px 12px';
+        swapButton.style.backgroundColor = '#3a3a3a';
+        swapButton.style.border = '1px solid var(--secondary-accent)';
+        swapButton.style.borderRadius = '4px';
+        swapButton.style.color = 'var(--text-color)';
+        swapButton.style.cursor = 'pointer';
+        swapButton.style.transition = 'all 0.2s ease';
+        
+        swapButton.addEventListener('mouseover', () => {
+            swapButton.style.backgroundColor = 'var(--secondary-accent)';
+        });
+        
+        swapButton.addEventListener('mouseout', () => {
+            swapButton.style.backgroundColor = '#3a3a3a';
+        });
+        
+        swapButton.addEventListener('click', () => this.toggleSwapPanel());
+        
+        // Compare adds another pair as a percentage line on the price pane
+        this.compareSelect = document.createElement('select');
+        this.compareSelect.className = 'timeframe-select';
+        this.compareSelect.title = 'Compare with another pair';
+        this.compareSelect.style.padding = '4px 8px';
+        this.compareSelect.style.borderRadius = '4px';
+        this.compareSelect.style.border = '1px solid #3a3a3a';
+        this.compareSelect.style.width = '100px';
+        this.renderCompareOptions();
+        
+        // Refresh the list before it opens, pairs and tokens load after the selectors
+        this.compareSelect.addEventListener('mousedown', () => this.renderCompareOptions());
+        this.compareSelect.addEventListener('focus', () => this.renderCompareOptions());
+        this.compareSelect.addEventListener('change', () => {
+            const pairId = this.compareSelect.value;
+            this.compareSelect.value = '';
+            if (pairId) {
+                this.addComparison(pairId);
+            }
+        });
+        
         // Add all elements to left group
         leftGroup.appendChild(pairButton);
+        leftGroup.appendChild(crossButton);
         leftGroup.appendChild(timeframeGroup);
+        leftGroup.appendChild(chartTypeGroup);
+        leftGroup.appendChild(this.priceScaleSelect);
+        leftGroup.appendChild(this.quoteSelect);
         leftGroup.appendChild(invertButton);
+        leftGroup.appendChild(indicatorsButton);
+        leftGroup.appendChild(markersButton);
+        leftGroup.appendChild(this.compareSelect);
+        leftGroup.appendChild(depthButton);
+        leftGroup.appendChild(tvlButton);
+        leftGroup.appendChild(swapButton);
         
         // Add groups to container
         selectorContainer.appendChild(leftGroup);
@@ -858,6 +1018,12 @@ class ChartController {
         const symbol1 = token1?.symbol || this.currentPair.token1;
         
         this.pairButton.textContent = `${symbol0}/${symbol1}`;
+        this.pairButton.title = '';
+        
+        if (this.currentPair.synthetic) {
+            this.pairButton.textContent += ' · synthetic';
+            this.pairButton.title = this.getSyntheticRouteLabel(this.currentPair);
+        }
     }
     
     updatePairSelector() {
@@ -885,7 +1051,7 @@ class ChartController {
     // Update the changePair method to update button text
     async changePair(pairId) {
         try {
-            const selectedPair = this.pairs.find(p => p.id === pairId);
+            const selectedPair = this.getPairById(pairId);
             if (!selectedPair) {
                 console.error(`Pair with ID ${pairId} not found`);
                 return;
@@ -897,6 +1063,9 @@ class ChartController {
             this.currentPair = selectedPair;
             console.log(`Switched to pair ${pairId}:`, this.currentPair);
             
+            // A pair can't be compared with itself
+            this.removeComparison(pairId);
+            
             // Update button text
             this.updatePairButtonText();
             
@@ -910,7 +1079,7 @@ class ChartController {
             this.updateQueryParams();
             
             // Reset price scale and load new data
-            if (this.candlestickSeries) {
+            if (this.priceSeries) {
                 this.chart.priceScale('right').applyOptions({
                     autoScale: true,
                     scaleMargins: {
@@ -1012,6 +1181,39 @@ class ChartController {
         // Create volume tooltip
         this.createVolumeTooltip();
         
+        this.createOhlcLegend();
+        
+        this.createTradeMarkerTooltip();
+        
+        this.createPriceScaleMenu();
+        
+        // Legend for compared pairs, laid out by the .compare-legend rules in index.html
+        this.compareLegend = document.createElement('div');
+        this.compareLegend.className = 'compare-legend';
+        this.chartContainer.appendChild(this.compareLegend);
+        
+        this.createDepthPanel();
+        
+        this.createSwapPanel();
+        
+        // Drawings are anchored to time and un-inverted pair price, re-quoted in USD mode; see drawing-tools.js
+        this.drawingTools = new DrawingTools(this.chart, this.chartContainer, {
+            getSeries: () => this.priceSeries,
+            getCandles: () => this.currentCandles,
+            getIntervalSeconds: () => this.currentTimeframe.minutes * 60,
+            isInverted: () => this.isInverted,
+            getQuoteRate: time => (this.isUsdQuote() ? this.getUsdRate(time) : 1),
+            getPairLabel: () => this.currentPair ? this.currentPair.id : null,
+            onChange: drawings => this.saveDrawings(drawings)
+        });
+        
+        // Load older history when the user scrolls close to the first loaded candle
+        this.chart.timeScale().subscribeVisibleLogicalRangeChange(logicalRange => {
+            if (logicalRange && logicalRange.from < 10) {
+                this.loadOlderSwapEvents();
+            }
+        });
+        
         // Update chart title
         this.updateChartTitle();
         
@@ -1066,10 +1268,7 @@ class ChartController {
         // Add click handler
         tradeButton.addEventListener('click', () => {
             if (this.currentPair) {
-                const token0 = this.currentPair.token1;
-                const token1 = this.currentPair.token0;
-                const dexUrl = `https://snakexchange.org/?token0=${token0}&token1=${token1}`;
-                window.open(dexUrl, '_blank', 'noopener,noreferrer');
+                window.open(this.getTradeUrl(), '_blank', 'noopener,noreferrer');
             }
         });
 
@@ -1086,9 +1285,14 @@ class ChartController {
         const token0 = this.tokens.get(this.currentPair.token0);
         const token1 = this.tokens.get(this.currentPair.token1);
         
-        const title = this.isInverted 
+        let title = this.isInverted 
             ? `${token0?.symbol || this.currentPair.token0} / ${token1?.symbol || this.currentPair.token1}`
             : `${token1?.symbol || this.currentPair.token1} / ${token0?.symbol || this.currentPair.token0}`;
+        
+        // Quoted in USD, the base token stays
+        if (this.isUsdQuote()) {
+            title = `USD / ${this.isInverted ? token1?.symbol || this.currentPair.token1 : token0?.symbol || this.currentPair.token0}`;
+        }
             
         console.log(`Setting chart title to: ${title}`);
         
@@ -1096,35 +1300,37 @@ class ChartController {
         const computedStyles = getComputedStyle(document.body);
         const primaryAccent = computedStyles.getPropertyValue('--primary-accent').trim() || '#00ffff';
         
+        const lines = [
+            {
+                text: title,
+                color: `${primaryAccent}40`, // 25% opacity
+                fontSize: 48,
+                fontFamily: "'Inter', 'Roboto', sans-serif",
+                fontStyle: 'bold',
+            }
+        ];
+        
+        // Synthetic pairs say so, with the pools they are priced through
+        if (this.currentPair.synthetic) {
+            lines.push({
+                text: this.getSyntheticRouteLabel(this.currentPair),
+                color: `${primaryAccent}80`,
+                fontSize: 18,
+                fontFamily: "'Inter', 'Roboto', sans-serif",
+            });
+        }
+        
         // Create watermark if it doesn't exist
         if (!this.watermark) {
             const { createTextWatermark } = LightweightCharts;
             this.watermark = createTextWatermark(this.chart.panes()[0], {
                 horzAlign: 'center',
                 vertAlign: 'center',
-                lines: [
-                    {
-                        text: title,
-                        color: `${primaryAccent}40`, // 25% opacity
-                        fontSize: 48,
-                        fontFamily: "'Inter', 'Roboto', sans-serif",
-                        fontStyle: 'bold',
-                    }
-                ],
+                lines,
             });
         } else {
             // Update existing watermark options
-            this.watermark.applyOptions({
-                lines: [
-                    {
-                        text: title,
-                        color: `${primaryAccent}40`, // 25% opacity
-                        fontSize: 48,
-                        fontFamily: "'Inter', 'Roboto', sans-serif",
-                        fontStyle: 'bold',
-                    }
-                ],
-            });
+            this.watermark.applyOptions({ lines });
         }
     }
     
@@ -1133,111 +1339,221 @@ class ChartController {
             console.error('Cannot fetch swap events: No pair selected');
             return { candles: [], volumes: [] };
         }
-        
-        const query = `
-            query GetSwapEvents {
-                allEvents(
-                    condition: {contract: "con_pairs", event: "Swap"}
-                    filter: {dataIndexed: {contains: {pair: "${this.currentPair.id}"}}}
-                    orderBy: CREATED_DESC
-                ) {
-                    edges {
-                        node {
-                            caller
-                            signer
-                            dataIndexed
-                            data
-                            created
-                            txHash
-                        }
-                    }
-                }
-            }
-        `;
 
         try {
-            const response = await fetch(this.GRAPHQL_ENDPOINT, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ query })
-            });
+            // Only the most recent window is loaded up front, older pages follow on demand
+            const { trades, pageInfo } = await this.fetchSwapEventsPage(null);
 
-            const data = await response.json();
+            this.rawTrades = trades;
+            this.historyCursor = pageInfo.endCursor;
+            this.hasMoreHistory = pageInfo.hasNextPage;
             
-            if (!data.data?.allEvents?.edges) {
-                console.error('Unexpected API response structure:', data);
-                return { candles: [], volumes: [] };
-            }
-
-            // Log the first trade's complete data structure
-            if (data.data.allEvents.edges.length > 0) {
-                const firstTrade = data.data.allEvents.edges[0].node;
-                console.log('Raw trade data structure:', {
-                    caller: firstTrade.caller,
-                    signer: firstTrade.signer,
-                    dataIndexed: typeof firstTrade.dataIndexed === 'string' ? 
-                        JSON.parse(firstTrade.dataIndexed) : firstTrade.dataIndexed,
-                    data: typeof firstTrade.data === 'string' ? 
-                        JSON.parse(firstTrade.data) : firstTrade.data,
-                    created: firstTrade.created,
-                    txHash: firstTrade.txHash
-                });
-            }
-
-            // Store raw trades for history display
-            this.rawTrades = data.data.allEvents.edges.map(edge => {
-                const node = edge.node;
-                const dataIndexed = typeof node.dataIndexed === 'string' 
-                    ? JSON.parse(node.dataIndexed) 
-                    : node.dataIndexed;
-                const swapData = typeof node.data === 'string' 
-                    ? JSON.parse(node.data) 
-                    : node.data;
-                
-                const timestampStr = node.created;
-                const timestamp = new Date(timestampStr + 'Z'); // Ensure treating as UTC
-                
-                return {
-                    timestamp: timestamp,
-                    timestampStr: timestampStr,
-                    indexed: dataIndexed,
-                    data: swapData,
-                    caller: node.caller,
-                    signer: node.signer,
-                    txHash: node.txHash
-                };
-            });
+            this.saveTradesToCache(trades);
             
             if (this.rawTrades.length === 0) {
                 console.warn('No trades found for this pair');
                 return { candles: [], volumes: [] };
             }
             
-            // Sort for chart display (oldest first)
-            const tradeEvents = [...this.rawTrades]
-                .sort((a, b) => a.timestamp - b.timestamp);
+            console.log(`📜 Loaded ${trades.length} most recent trades, more history available: ${this.hasMoreHistory}`);
             
             // Create chart data from trades
-            const chartData = this.processSwapEvents(tradeEvents);
-            return chartData;
+            this.setCandleTrades(this.rawTrades);
+            return await this.aggregateCandles();
         } catch (error) {
+            // Let the caller tell a failed request apart from a pair without trades
             console.error('Error fetching swap events:', error);
-            return { candles: [], volumes: [] };
+            throw error;
         }
     }
-    
-    determineTradeType(swapData) {
-        const amount0In = parseFloat(swapData.amount0In) || 0;
-        const amount0Out = parseFloat(swapData.amount0Out) || 0;
-        
-        if (amount0In > 0) {
-            return this.isInverted ? 'BUY' : 'SELL'; // Selling token0, buying token1
-        } else if (amount0Out > 0) {
-            return this.isInverted ? 'SELL' : 'BUY'; // Buying token0, selling token1
-        }
-        return 'UNKNOWN';
+
+    // Forget the history of the previously loaded pair and invalidate pages still in flight
+    resetSwapHistory() {
+        this.abortPairRequests();
+        this.historyGeneration++;
+        this.historyCursor = null;
+        this.historyBefore = null;
+        this.hasMoreHistory = false;
+        this.isLoadingHistory = false;
+        this.rawTrades = [];
+    }
+
+    // Fetch one page of swap events for the current pair, newest first.
+    // Pass the endCursor of the previous page to continue further back in history.
+    async fetchSwapEventsPage(cursor) {
+        return this.client.fetchSwapEvents(this.currentPair.id, {
+            first: this.historyPageSize,
+            after: cursor,
+            before: this.historyBefore,
+            signal: this.getPairRequestSignal()
+        });
+    }
+
+    // Cancel requests still running for the previously selected pair
+    abortPairRequests() {
+        if (this.pairRequestController) {
+            this.pairRequestController.abort();
+        }
+        this.pairRequestController = new AbortController();
+    }
+
+    getPairRequestSignal() {
+        if (!this.pairRequestController) {
+            this.pairRequestController = new AbortController();
+        }
+        return this.pairRequestController.signal;
+    }
+
+    // Load the next page of older swaps and prepend the resulting candles
+    // without moving the part of the chart the user is looking at
+    async loadOlderSwapEvents() {
+        if (!this.currentPair || !this.hasMoreHistory || this.isLoadingHistory || !this.priceSeries) {
+            return;
+        }
+        
+        const generation = this.historyGeneration;
+        this.isLoadingHistory = true;
+        
+        try {
+            console.log(`📜 Loading older trades for pair ${this.currentPair.id}...`);
+            
+            const { trades, pageInfo } = await this.fetchSwapEventsPage(this.historyCursor);
+            
+            // Discard the page if the pair or timeframe was reloaded in the meantime
+            if (generation !== this.historyGeneration) {
+                return;
+            }
+            
+            this.historyCursor = pageInfo.endCursor;
+            this.hasMoreHistory = pageInfo.hasNextPage;
+            
+            this.saveTradesToCache(trades);
+            
+            if (trades.length === 0) {
+                return;
+            }
+            
+            console.log(`📜 Loaded ${trades.length} older trades, more history available: ${this.hasMoreHistory}`);
+            
+            this.rawTrades = this.mergeTrades(this.rawTrades, trades);
+            this.addCandleTrades(trades);
+            
+            const chartData = await this.aggregateCandles();
+            if (generation !== this.historyGeneration) {
+                return;
+            }
+            
+            // Keep the view where it was, the new candles are off-screen to the left
+            this.renderChartData(chartData, { preserveView: true });
+            
+            this.updateTradeHistory();
+        } catch (error) {
+            if (error.kind !== 'aborted') {
+                console.error('Error loading older swap events:', error);
+            }
+        } finally {
+            if (generation === this.historyGeneration) {
+                this.isLoadingHistory = false;
+            }
+        }
+    }
+
+    // Key identifying a pair's cached trades, scoped to the active network's
+    // endpoint and pairs contract
+    getTradeCacheKey(pairId = this.currentPair.id) {
+        return `${this.network.graphqlUrl}|${this.network.pairsContract}|${pairId}`;
+    }
+
+    // Restore the current pair's history from the trade cache.
+    // Returns chart data for the cached trades, or null when nothing is cached.
+    async loadCachedSwapEvents() {
+        try {
+            const cacheKey = this.getTradeCacheKey();
+            const [cachedTrades, meta] = await Promise.all([
+                this.tradeCache.getTrades(cacheKey),
+                this.tradeCache.getMeta(cacheKey)
+            ]);
+            
+            if (cachedTrades.length === 0) {
+                return null;
+            }
+            
+            console.log(`💾 Restored ${cachedTrades.length} cached trades for pair ${this.currentPair.id}`);
+            
+            this.rawTrades = cachedTrades;
+            
+            // Older pages continue from the oldest cached swap
+            this.historyBefore = cachedTrades[0].timestampStr;
+            this.historyCursor = null;
+            this.hasMoreHistory = meta ? meta.hasMoreHistory !== false : true;
+            
+            this.setCandleTrades(this.rawTrades);
+            return await this.aggregateCandles();
+        } catch (error) {
+            console.error('Error reading trade cache:', error);
+            return null;
+        }
+    }
+
+    // Fetch only the swaps newer than the last cached one and merge them in
+    async syncCachedSwapEvents() {
+        const lastTrade = this.rawTrades[this.rawTrades.length - 1];
+        
+        try {
+            const newTrades = await this.client.fetchNewTrades(this.currentPair.id, lastTrade.timestampStr, {
+                signal: this.getPairRequestSignal()
+            });
+            
+            console.log(`💾 Synced ${newTrades.length} trades newer than ${lastTrade.timestampStr}`);
+            
+            if (newTrades.length > 0) {
+                this.rawTrades = this.mergeTrades(this.rawTrades, newTrades);
+                this.addCandleTrades(newTrades);
+                this.saveTradesToCache(newTrades);
+            }
+        } catch (error) {
+            // Keep showing the cached history, the status indicator reports the outage
+            if (error.kind === 'aborted') throw error;
+            console.error('Error syncing cached trades:', error);
+        }
+        
+        return this.aggregateCandles();
+    }
+
+    // Persist trades and pagination state without blocking the caller
+    saveTradesToCache(trades) {
+        if (!this.currentPair || this.currentPair.synthetic) return;
+        
+        const cacheKey = this.getTradeCacheKey();
+        this.tradeCache.putTrades(cacheKey, trades)
+            .then(() => this.tradeCache.putMeta(cacheKey, { hasMoreHistory: this.hasMoreHistory }))
+            .catch(error => console.error('Error writing trade cache:', error));
+    }
+
+    async clearTradeCache() {
+        try {
+            await this.tradeCache.clear();
+            console.log('💾 Trade cache cleared');
+        } catch (error) {
+            console.error('Error clearing trade cache:', error);
+        }
+        
+        if (this.currentPair) {
+            await this.loadChartData();
+        }
+    }
+
+    // Combine two trade lists, dropping duplicates by event id, oldest first
+    mergeTrades(existingTrades, incomingTrades) {
+        const tradesById = new Map();
+        [...existingTrades, ...incomingTrades].forEach(trade => {
+            tradesById.set(trade.id ?? `${trade.txHash}:${trade.timestampStr}`, trade);
+        });
+        return Array.from(tradesById.values()).sort((a, b) => a.timestamp - b.timestamp);
+    }
+    
+    determineTradeType(swapData) {
+        return XianDex.determineTradeType(swapData, this.isInverted);
     }
     
     updateTradeHistory() {
@@ -1256,330 +1572,592 @@ class ChartController {
         // Sort by timestamp (newest first) - timestamps are already in UTC
         const sortedTrades = [...this.rawTrades].sort((a, b) => b.timestamp - a.timestamp);
         
-        // Get token symbols
-        const token0 = this.tokens.get(this.currentPair.token0);
-        const token1 = this.tokens.get(this.currentPair.token1);
-        const symbol0 = token0?.symbol || this.currentPair.token0;
-        const symbol1 = token1?.symbol || this.currentPair.token1;
-        
         // Add rows for each trade
         sortedTrades.forEach(trade => {
-            try {
-                const row = document.createElement('tr');
-                const time = trade.timestamp; // Already a UTC Date object
-                const data = trade.data;
-                
-                // Format time in UTC and explicitly label it
-                const hours = time.getUTCHours();
-                const minutes = time.getUTCMinutes();
-                const day = time.getUTCDate();
-                const formattedTime = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')} UTC`;
-                
-                // Format date in UTC
-                const formattedDate = `${day.toString().padStart(2, '0')}-${
-                    (time.getUTCMonth() + 1).toString().padStart(2, '0')}-${
-                    time.getUTCFullYear()}`;
-                
-                // Determine trade type
-                const tradeType = this.determineTradeType(data);
-                
-                // Calculate trade amounts
-                const amount0In = parseFloat(data.amount0In) || 0;
-                const amount0Out = parseFloat(data.amount0Out) || 0;
-                const amount1In = parseFloat(data.amount1In) || 0;
-                const amount1Out = parseFloat(data.amount1Out) || 0;
-                
-                // Calculate price
-                let price = 0;
-                if (amount0Out > 0 && amount1In > 0) {
-                    price = amount1In / amount0Out;
-                } else if (amount0In > 0 && amount1Out > 0) {
-                    price = amount1Out / amount0In;
-                }
-                
-                if (this.isInverted && price > 0) {
-                    price = 1 / price;
-                }
-                
-                // Set amount and value based on trade type
-                let amount, value;
-                if (tradeType === 'BUY') {
-                    amount = this.isInverted ? amount1Out : amount0Out;
-                    value = this.isInverted ? amount0In : amount1In;
-                } else {
-                    amount = this.isInverted ? amount1In : amount0In;
-                    value = this.isInverted ? amount0Out : amount1Out;
-                }
-                
-                // Get maker address and transaction hash
-                const maker = trade.signer || '';
-                const makerShort = maker.length > 8 ? `${maker.slice(0, 4)}...${maker.slice(-4)}` : maker;
-                
-                // Add appropriate CSS class
-                row.className = tradeType.toLowerCase() === 'buy' ? 'buy-row' : 'sell-row';
-                
-                // Format the row content with transaction icon and link
-                row.innerHTML = `
-                    <td class="trade-time" title="${time.toISOString()}">${formattedDate} ${formattedTime}</td>
-                    <td class="trade-type">${tradeType}</td>
-                    <td class="trade-price">${price.toFixed(6)}</td>
-                    <td class="trade-amount">${amount.toFixed(4)} ${this.isInverted ? symbol1 : symbol0}</td>
-                    <td class="trade-value">${value.toFixed(4)} ${this.isInverted ? symbol0 : symbol1}</td>
-                    <td class="trade-maker">
-                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                            <span>${makerShort}</span>
-                            ${trade.txHash ? `
-                                <a href="https://explorer.xian.org/tx/${trade.txHash}" 
-                                   class="maker-link" 
-                                   target="_blank" 
-                                   rel="noopener noreferrer"
-                                   title="View transaction">
-                                    <svg class="tx-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                        <path d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"/>
-                                    </svg>
-                                </a>
-                            ` : ''}
-                        </div>
-                    </td>
-                `;
-                
+            const row = this.createTradeHistoryRow(trade);
+            if (row) {
                 tableBody.appendChild(row);
-            } catch (err) {
-                console.error('Error rendering trade row:', err);
             }
         });
     }
     
-    processSwapEvents(tradeEvents) {
-        if (tradeEvents.length === 0) return { candles: [], volumes: [] };
+    // Insert rows for live trades at the top of the history instead of rebuilding it
+    prependTradeHistoryRows(newTrades) {
+        const tableBody = document.getElementById('trade-history-body');
+        if (!tableBody) return;
+        
+        // The table still shows the "no trades" placeholder
+        if (tableBody.querySelector('td[colspan]')) {
+            this.updateTradeHistory();
+            return;
+        }
+        
+        // Oldest first, so the newest trade ends up on top
+        [...newTrades]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(trade => {
+                const row = this.createTradeHistoryRow(trade);
+                if (row) {
+                    tableBody.insertBefore(row, tableBody.firstChild);
+                }
+            });
+    }
+    
+    loadTradeMarkerSettings() {
+        const defaults = { enabled: false, minValue: 0, signer: '' };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('tradeMarkers')) };
+        } catch (err) {
+            console.error('Error reading trade marker settings:', err);
+            return defaults;
+        }
+    }
+
+    updateTradeMarkerSettings(changes) {
+        this.tradeMarkerSettings = { ...this.tradeMarkerSettings, ...changes };
+        localStorage.setItem('tradeMarkers', JSON.stringify(this.tradeMarkerSettings));
+        this.updateTradeMarkers();
+    }
 
-        // Pre-sort trades by timestamp once
-        tradeEvents.sort((a, b) => a.timestamp - b.timestamp);
+    createTradeMarkerPanel(button) {
+        const panel = document.createElement('div');
+        panel.className = 'indicator-panel';
+        panel.style.position = 'fixed';
+        panel.style.display = 'none';
+        panel.style.zIndex = '1000';
+        panel.style.minWidth = '240px';
+        panel.style.padding = '10px';
+        panel.style.backgroundColor = 'var(--modal-background)';
+        panel.style.border = '1px solid var(--modal-border-color)';
+        panel.style.borderRadius = '4px';
+        panel.style.boxShadow = '0 2px 5px rgba(0, 0, 0, 0.3)';
+        panel.style.color = 'var(--text-color)';
+        panel.style.fontSize = '12px';
+        document.body.appendChild(panel);
+        
+        const addRow = (labelText, input) => {
+            const row = document.createElement('label');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.justifyContent = 'space-between';
+            row.style.gap = '8px';
+            row.style.marginBottom = '8px';
+            row.textContent = labelText;
+            row.appendChild(input);
+            panel.appendChild(row);
+        };
+        
+        const styleInput = input => {
+            input.style.width = '120px';
+            input.style.padding = '2px 4px';
+            input.style.backgroundColor = 'var(--input-background)';
+            input.style.color = 'var(--input-text-color)';
+            input.style.border = '1px solid var(--input-border-color)';
+            input.style.borderRadius = '3px';
+        };
+        
+        const enabledInput = document.createElement('input');
+        enabledInput.type = 'checkbox';
+        enabledInput.checked = this.tradeMarkerSettings.enabled;
+        enabledInput.addEventListener('change', () => {
+            this.updateTradeMarkerSettings({ enabled: enabledInput.checked });
+        });
+        addRow('Show trade markers', enabledInput);
+        
+        // Value is in the token the trade history shows it in, which flips with Invert
+        const minValueInput = document.createElement('input');
+        minValueInput.type = 'number';
+        minValueInput.min = '0';
+        minValueInput.step = 'any';
+        minValueInput.placeholder = '0';
+        minValueInput.value = this.tradeMarkerSettings.minValue || '';
+        styleInput(minValueInput);
+        minValueInput.addEventListener('change', () => {
+            const minValue = parseFloat(minValueInput.value);
+            this.updateTradeMarkerSettings({ minValue: minValue > 0 ? minValue : 0 });
+        });
+        addRow('Min trade value', minValueInput);
         
-        // Calculate interval in milliseconds
-        const intervalMs = this.currentTimeframe.minutes * 60 * 1000;
+        const signerInput = document.createElement('input');
+        signerInput.type = 'text';
+        signerInput.placeholder = 'Any signer';
+        signerInput.value = this.tradeMarkerSettings.signer;
+        styleInput(signerInput);
+        signerInput.addEventListener('change', () => {
+            this.updateTradeMarkerSettings({ signer: signerInput.value.trim() });
+        });
+        addRow('Signer', signerInput);
         
-        // Create a map for quick lookup of trades in each interval
-        const tradesByInterval = new Map();
+        const note = document.createElement('div');
+        note.style.opacity = '0.7';
+        note.textContent = 'Hover a marker for details, click it to open the transaction.';
+        panel.appendChild(note);
         
-        // Group trades by interval - O(n) operation
-        tradeEvents.forEach(trade => {
-            const intervalTime = new Date(Math.floor(trade.timestamp.getTime() / intervalMs) * intervalMs);
-            const key = intervalTime.getTime();
+        button.addEventListener('click', event => {
+            event.stopPropagation();
             
-            if (!tradesByInterval.has(key)) {
-                tradesByInterval.set(key, []);
+            if (panel.style.display === 'none') {
+                const rect = button.getBoundingClientRect();
+                panel.style.top = `${rect.bottom + 6}px`;
+                panel.style.left = `${rect.left}px`;
+                panel.style.display = 'block';
+            } else {
+                panel.style.display = 'none';
             }
-            tradesByInterval.get(key).push(trade);
         });
         
-        // Get first trade timestamp and current time to create complete timeline
-        const firstTradeTime = tradeEvents[0].timestamp.getTime();
-        const currentTime = Date.now();
+        // Close when clicking anywhere else
+        panel.addEventListener('click', event => event.stopPropagation());
+        document.addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+    }
+
+    // Time of the bar a timestamp (in seconds) falls into, null before the first bar
+    findBarTime(seconds) {
+        const candles = this.currentCandles;
+        let low = 0;
+        let high = candles.length - 1;
+        let found = null;
+        
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (candles[mid].time <= seconds) {
+                found = candles[mid].time;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    // Markers for the filtered swaps in rawTrades, sized by trade value.
+    // Only the newest 1000 are drawn to keep the chart responsive.
+    updateTradeMarkers() {
+        if (!this.priceSeries) return;
+        
+        // The plugin belongs to a series, the chart type selector replaces it
+        if (this.tradeMarkersSeries !== this.priceSeries) {
+            if (this.tradeMarkers) {
+                this.tradeMarkers.detach();
+            }
+            this.tradeMarkers = LightweightCharts.createSeriesMarkers(this.priceSeries, []);
+            this.tradeMarkersSeries = this.priceSeries;
+        }
         
-        // Create complete timeline from first trade to current time
-        const firstInterval = Math.floor(firstTradeTime / intervalMs) * intervalMs;
-        const currentInterval = Math.floor(currentTime / intervalMs) * intervalMs;
+        this.markedTrades = new Map();
         
-        const completeTimeline = [];
-        for (let time = firstInterval; time <= currentInterval; time += intervalMs) {
-            completeTimeline.push(time);
+        const { enabled, minValue, signer } = this.tradeMarkerSettings;
+        if (!enabled || !this.currentPair || this.currentCandles.length === 0) {
+            this.tradeMarkers.setMarkers([]);
+            return;
         }
         
-        const candles = [];
-        const volumes = [];
-        let previousClose = null;
+        const signerFilter = signer.toLowerCase();
+        const trades = this.rawTrades
+            .map(trade => ({ trade, details: this.getTradeDetails(trade) }))
+            .filter(({ trade, details }) =>
+                details.tradeType !== 'UNKNOWN' &&
+                details.value >= minValue &&
+                (!signerFilter || (trade.signer || '').toLowerCase() === signerFilter))
+            .slice(-1000);
         
-        // Get theme colors once
+        const maxValue = Math.max(...trades.map(({ details }) => details.value), 0);
         const computedStyles = getComputedStyle(document.body);
         const buyColor = computedStyles.getPropertyValue('--buy-color').trim();
         const sellColor = computedStyles.getPropertyValue('--sell-color').trim();
-        const volumeUpColor = buyColor ? `${buyColor}80` : '#0066ff80';
-        const volumeDownColor = sellColor ? `${sellColor}80` : '#9933ff80';
-        
-        // Process complete timeline to maintain full history without gaps
-        completeTimeline.forEach(time => {
-            const trades = tradesByInterval.get(time) || [];
-            const timestamp = Math.floor(time / 1000); // Convert to seconds for the chart
-            
-            if (trades.length > 0) {
-                // Calculate candle data in a single pass
-                let open = previousClose !== null ? previousClose : this.calculatePrice(trades[0].indexed, trades[0].data);
-                let high = open;
-                let low = open;
-                let volume = 0;
-                
-                // Single pass through trades for this interval
-                trades.forEach(trade => {
-                    const price = this.calculatePrice(trade.indexed, trade.data);
-                    if (price !== null) {
-                        high = Math.max(high, price);
-                        low = Math.min(low, price);
-                        volume += parseFloat(trade.data.amount1In || 0) + parseFloat(trade.data.amount1Out || 0);
-                    }
-                });
-                
-                // DEBUG: Log volume calculation for recent intervals
-                const timeDate = new Date(time);
-                const isRecent = Date.now() - time < 300000; // Last 5 minutes
-                if (isRecent && volume > 0) {
-                    console.log(`💰 [DEBUG] Volume calc for ${timeDate.toISOString()}: ${trades.length} trades, volume=${volume.toFixed(4)}`);
-                }
-                
-                const close = this.calculatePrice(trades[trades.length - 1].indexed, trades[trades.length - 1].data);
-                
-                candles.push({
-                    time: timestamp,
-                    open,
-                    high,
-                    low,
-                    close,
-                    tradeCount: trades.length
-                });
-                    
-                    volumes.push({
-                        time: timestamp,
-                    value: volume,
-                    color: close >= open ? volumeUpColor : volumeDownColor
-                });
-                
-                previousClose = close;
-            } else {
-                // Empty interval - create candle with previous close price
-                if (previousClose !== null) {
-                candles.push({
-                        time: timestamp,
-                        open: previousClose,
-                        high: previousClose,
-                        low: previousClose,
-                        close: previousClose,
-                        tradeCount: 0
-                });
-                    
-                    volumes.push({
-                        time: timestamp,
-                        value: 0,
-                        color: '#80808040'
-                    });
-                } else {
-                    // If this is the very first interval and we don't have a previous close,
-                    // we need to look ahead to find the first valid price
-                    let firstPrice = null;
-                    for (let futureTime = time + intervalMs; futureTime <= currentInterval; futureTime += intervalMs) {
-                        const futureTrades = tradesByInterval.get(futureTime);
-                        if (futureTrades && futureTrades.length > 0) {
-                            firstPrice = this.calculatePrice(futureTrades[0].indexed, futureTrades[0].data);
-                            break;
-                        }
-                    }
-                    
-                    if (firstPrice !== null) {
-                        candles.push({
-                            time: timestamp,
-                            open: firstPrice,
-                            high: firstPrice,
-                            low: firstPrice,
-                            close: firstPrice,
-                            tradeCount: 0
-                        });
-                        
-                        volumes.push({
-                            time: timestamp,
-                            value: 0,
-                            color: '#80808040'
-                        });
-                        
-                        previousClose = firstPrice;
-                    }
-                }
-            }
+        
+        const markers = [];
+        trades.forEach(({ trade, details }, i) => {
+            const time = this.findBarTime(Math.floor(trade.timestamp.getTime() / 1000));
+            if (time === null) return;
+            
+            const id = String(trade.id ?? `${trade.txHash}:${i}`);
+            const isBuy = details.tradeType === 'BUY';
+            this.markedTrades.set(id, trade);
+            
+            markers.push({
+                id,
+                time,
+                position: isBuy ? 'belowBar' : 'aboveBar',
+                shape: isBuy ? 'arrowUp' : 'arrowDown',
+                color: isBuy ? buyColor : sellColor,
+                size: maxValue > 0 ? 0.5 + 2 * Math.sqrt(details.value / maxValue) : 1
+            });
         });
         
-        return { candles, volumes };
+        this.tradeMarkers.setMarkers(markers);
     }
 
-    // Update the initSeries method
-    initSeries() {
-        // Remove existing series if they exist
-        if (this.candlestickSeries) {
-            this.chart.removeSeries(this.candlestickSeries);
-        }
-        if (this.volumeSeries) {
-            this.chart.removeSeries(this.volumeSeries);
-        }
+    createTradeMarkerTooltip() {
+        this.markerTooltip = document.createElement('div');
+        this.markerTooltip.className = 'trade-marker-tooltip';
+        this.chartContainer.appendChild(this.markerTooltip);
         
-        // Get computed styles for consistent theming
-        const computedStyles = getComputedStyle(document.body);
-        const textColor = computedStyles.getPropertyValue('--text-color').trim();
-        const borderColor = computedStyles.getPropertyValue('--secondary-accent').trim();
-        const backgroundColor = computedStyles.getPropertyValue('--chart-background').trim();
-
-        // Update chart options with current theme colors
-        this.chart.applyOptions({
-            layout: {
-                background: { 
-                    color: backgroundColor
-                },
-                textColor: textColor,
-                fontSize: 12,
-                fontFamily: "'Inter', 'Roboto', sans-serif",
-                panes: {
-                    separatorColor: borderColor,
-                    separatorHoverColor: `${borderColor}80`,
-                    enableResize: true,
-                },
+        this.chart.subscribeCrosshairMove(param => {
+            const trade = param && param.point ? this.markedTrades.get(param.hoveredObjectId) : null;
+            if (!trade) {
+                this.markerTooltip.style.display = 'none';
+                return;
             }
+            
+            this.renderTradeMarkerTooltip(trade);
+            this.markerTooltip.style.left = `${param.point.x + 15}px`;
+            this.markerTooltip.style.top = `${param.point.y + 15}px`;
+            this.markerTooltip.style.display = 'block';
         });
-
-        // Import the series constructors from LightweightCharts
-        const { CandlestickSeries, HistogramSeries } = LightweightCharts;
-
-        // Create candlestick series in the main pane
-        this.candlestickSeries = this.chart.addSeries(CandlestickSeries, {
-            upColor: 'var(--buy-color)',
-            downColor: 'var(--sell-color)',
-            borderVisible: true,
-            wickUpColor: 'var(--buy-color)',
-            wickDownColor: 'var(--sell-color)',
-            borderUpColor: 'var(--buy-color)',
-            borderDownColor: 'var(--sell-color)',
-            priceFormat: {
-                type: 'price',
-                precision: 8,
-                minMove: 0.00000001,
-            },
-            priceScaleId: 'right',
+        
+        // Clicking a marker opens its transaction, like the link in the trade history
+        this.chart.subscribeClick(param => {
+            const trade = param ? this.markedTrades.get(param.hoveredObjectId) : null;
+            if (trade && trade.txHash && this.network.explorerUrl) {
+                window.open(`${this.network.explorerUrl}/tx/${trade.txHash}`, '_blank', 'noopener,noreferrer');
+            }
         });
+    }
 
-        // Add volume histogram series to the second pane
-        this.volumeSeries = this.chart.addSeries(HistogramSeries, {
-            color: 'var(--primary-accent)',
-            priceFormat: {
-                type: 'volume',
-                formatter: value => value.toFixed(2),
-            },
-            priceScaleId: 'right',
-            base: 0,
-            scaleMargins: {
-                top: 0.3,
-                bottom: 0.3,
+    // Built from text nodes, signer addresses and symbols are on-chain data
+    renderTradeMarkerTooltip(trade) {
+        const { tradeType, price, amount, value } = this.getTradeDetails(trade);
+        const symbol0 = this.tokens.get(this.currentPair.token0)?.symbol || this.currentPair.token0;
+        const symbol1 = this.tokens.get(this.currentPair.token1)?.symbol || this.currentPair.token1;
+        
+        const lines = [
+            [`${tradeType} · ${trade.timestamp.toISOString().replace('T', ' ').slice(0, 19)} UTC`,
+                tradeType === 'BUY' ? 'var(--buy-color)' : 'var(--sell-color)'],
+            [`Price: ${price.toFixed(6)}`],
+            [`Amount: ${amount.toFixed(4)} ${this.isInverted ? symbol1 : symbol0}`],
+            [`Value: ${value.toFixed(4)} ${this.getQuoteSymbol()}`],
+            [`Signer: ${trade.signer || '-'}`]
+        ];
+        if (trade.txHash && this.network.explorerUrl) {
+            lines.push([`${this.network.explorerUrl}/tx/${trade.txHash}`, 'var(--link-color)']);
+        }
+        
+        this.markerTooltip.innerHTML = '';
+        lines.forEach(([text, color]) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            if (color) {
+                line.style.color = color;
             }
-        }, 1);
-
-        const secondPane = this.chart.panes()[1];
-        secondPane.setHeight(100);
+            this.markerTooltip.appendChild(line);
+        });
+    }
 
-        // Configure the main price scale (right side)
-        this.chart.priceScale('right').applyOptions({
-            visible: true,
-            borderVisible: true,
-            borderColor: borderColor,
-            textColor: textColor,
-            autoScale: true,
-            mode: 0,
-            alignLabels: true,
-            entireTextOnly: true,
-            ticksVisible: true,
+    // Side, price, traded amount and value of a swap as shown in the trade history
+    getTradeDetails(trade) {
+        const data = trade.data;
+        
+        // Determine trade type
+        const tradeType = this.determineTradeType(data);
+        
+        // Calculate trade amounts
+        const amount0In = parseFloat(data.amount0In) || 0;
+        const amount0Out = parseFloat(data.amount0Out) || 0;
+        const amount1In = parseFloat(data.amount1In) || 0;
+        const amount1Out = parseFloat(data.amount1Out) || 0;
+        
+        // Calculate price
+        let price = 0;
+        if (amount0Out > 0 && amount1In > 0) {
+            price = amount1In / amount0Out;
+        } else if (amount0In > 0 && amount1Out > 0) {
+            price = amount1Out / amount0In;
+        }
+        
+        if (this.isInverted && price > 0) {
+            price = 1 / price;
+        }
+        
+        // Set amount and value based on trade type
+        let amount, value;
+        if (tradeType === 'BUY') {
+            amount = this.isInverted ? amount1Out : amount0Out;
+            value = this.isInverted ? amount0In : amount1In;
+        } else {
+            amount = this.isInverted ? amount1In : amount0In;
+            value = this.isInverted ? amount0Out : amount1Out;
+        }
+        
+        // Price and value follow the chart into USD, the amount stays in the base token
+        if (this.isUsdQuote()) {
+            const rate = this.getUsdRate(trade.timestamp.getTime() / 1000);
+            price *= rate;
+            value *= rate;
+        }
+        
+        return { tradeType, price, amount, value };
+    }
+
+    createTradeHistoryRow(trade) {
+        // Get token symbols
+        const token0 = this.tokens.get(this.currentPair.token0);
+        const token1 = this.tokens.get(this.currentPair.token1);
+        const symbol0 = token0?.symbol || this.currentPair.token0;
+        const symbol1 = token1?.symbol || this.currentPair.token1;
+        
+        try {
+            const row = document.createElement('tr');
+            const time = trade.timestamp; // Already a UTC Date object
+            
+            // Format time in UTC and explicitly label it
+            const hours = time.getUTCHours();
+            const minutes = time.getUTCMinutes();
+            const day = time.getUTCDate();
+            const formattedTime = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')} UTC`;
+            
+            // Format date in UTC
+            const formattedDate = `${day.toString().padStart(2, '0')}-${
+                (time.getUTCMonth() + 1).toString().padStart(2, '0')}-${
+                time.getUTCFullYear()}`;
+            
+            const { tradeType, price, amount, value } = this.getTradeDetails(trade);
+            
+            // Get maker address and transaction hash
+            const maker = trade.signer || '';
+            const makerShort = maker.length > 8 ? `${maker.slice(0, 4)}...${maker.slice(-4)}` : maker;
+            
+            // Add appropriate CSS class
+            row.className = tradeType.toLowerCase() === 'buy' ? 'buy-row' : 'sell-row';
+            
+            // Format the row content with transaction icon and link
+            row.innerHTML = `
+                <td class="trade-time" title="${time.toISOString()}">${formattedDate} ${formattedTime}</td>
+                <td class="trade-type">${tradeType}</td>
+                <td class="trade-price">${price.toFixed(6)}</td>
+                <td class="trade-amount">${amount.toFixed(4)} ${this.isInverted ? symbol1 : symbol0}</td>
+                <td class="trade-value">${value.toFixed(4)} ${this.getQuoteSymbol()}</td>
+                <td class="trade-maker">
+                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                        <span>${makerShort}</span>
+                        ${trade.txHash && this.network.explorerUrl ? `
+                            <a href="${this.network.explorerUrl}/tx/${trade.txHash}" 
+                               class="maker-link" 
+                               target="_blank" 
+                               rel="noopener noreferrer"
+                               title="View transaction">
+                                <svg class="tx-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"/>
+                                </svg>
+                            </a>
+                        ` : ''}
+                    </div>
+                </td>
+            `;
+            
+            return row;
+        } catch (err) {
+            console.error('Error rendering trade row:', err);
+            return null;
+        }
+    }
+    
+    // Candle aggregation runs in a Web Worker so long histories don't block scrolling.
+    // Without worker support (e.g. pages opened from file://) it falls back to the main thread.
+    initCandleWorker() {
+        this.candleTradeSets = new Map(); // key -> trades, mirrors the worker state for the fallback
+        this.pendingCandleRequests = new Map(); // requestId -> { key, options, resolve, reject }
+        this.nextCandleRequestId = 1;
+        this.candleWorker = null;
+        
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers not supported, aggregating candles on the main thread');
+            return;
+        }
+        
+        try {
+            this.candleWorker = new Worker('candle-worker.js');
+        } catch (error) {
+            console.warn('Candle worker unavailable, aggregating candles on the main thread:', error);
+            return;
+        }
+        
+        this.candleWorker.onmessage = event => {
+            const message = event.data;
+            const request = this.pendingCandleRequests.get(message.requestId);
+            if (!request) return;
+            
+            this.pendingCandleRequests.delete(message.requestId);
+            
+            if (message.type === 'error') {
+                request.reject(new Error(message.message));
+            } else {
+                request.resolve({ candles: message.candles, volumes: message.volumes });
+            }
+        };
+        
+        this.candleWorker.onerror = event => {
+            console.error('Candle worker failed, aggregating candles on the main thread:', event.message);
+            this.candleWorker.terminate();
+            this.candleWorker = null;
+            
+            // Answer the requests the worker will never reply to
+            this.pendingCandleRequests.forEach(request => {
+                request.resolve(this.aggregateCandlesLocally(request.key, request.options));
+            });
+            this.pendingCandleRequests.clear();
+        };
+    }
+    
+    // Replace the trades aggregated under a key ('main' is the selected pair)
+    setCandleTrades(trades, key = 'main') {
+        this.candleTradeSets.set(key, trades);
+        if (this.candleWorker) {
+            this.candleWorker.postMessage({ type: 'setTrades', key, trades });
+        }
+    }
+    
+    // Send only the new trades to the worker, this.rawTrades already holds the merged list
+    addCandleTrades(newTrades, key = 'main', allTrades = this.rawTrades) {
+        this.candleTradeSets.set(key, allTrades);
+        if (this.candleWorker) {
+            this.candleWorker.postMessage({ type: 'addTrades', key, trades: newTrades });
+        }
+    }
+    
+    // Aggregate the trades under a key into { candles, volumes }
+    aggregateCandles(key = 'main', options = this.getCandleOptions()) {
+        if (!this.candleWorker) {
+            return Promise.resolve(this.aggregateCandlesLocally(key, options));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const requestId = this.nextCandleRequestId++;
+            this.pendingCandleRequests.set(requestId, { key, options, resolve, reject });
+            this.candleWorker.postMessage({ type: 'aggregate', key, requestId, options });
+        });
+    }
+    
+    aggregateCandlesLocally(key, options) {
+        const trades = this.candleTradeSets.get(key) || [];
+        return XianDex.processSwapEvents([...trades], options);
+    }
+    
+    getCandleOptions() {
+        return {
+            timeframe: this.currentTimeframe.label,
+            inverted: this.isInverted,
+            colors: this.getVolumeColors(),
+            fill: this.candleFill,
+            open: this.candleOpen
+        };
+    }
+
+    // Change the gap and open handling, then re-aggregate the loaded trades
+    setCandleModes({ fill = this.candleFill, open = this.candleOpen }) {
+        this.candleFill = fill;
+        this.candleOpen = open;
+        localStorage.setItem('candleFill', fill);
+        localStorage.setItem('candleOpen', open);
+        
+        this.refreshCandles({ preserveView: true });
+    }
+    
+    // Re-aggregate the loaded trades after a timeframe, inversion or theme change
+    async refreshCandles(viewOptions = { resetView: true }) {
+        if (!this.currentPair || !this.priceSeries || this.rawTrades.length === 0) {
+            return;
+        }
+        
+        const generation = this.historyGeneration;
+        const refreshId = ++this.candleRefreshId;
+        
+        try {
+            const chartData = await this.aggregateCandles();
+            
+            // A newer refresh or another pair superseded this one
+            if (generation !== this.historyGeneration || refreshId !== this.candleRefreshId) {
+                return;
+            }
+            
+            this.renderChartData(chartData, viewOptions);
+        } catch (error) {
+            console.error('Error refreshing candles:', error);
+        }
+    }
+
+    // Volume bar colors derived from the active theme
+    getVolumeColors() {
+        const computedStyles = getComputedStyle(document.body);
+        const buyColor = computedStyles.getPropertyValue('--buy-color').trim();
+        const sellColor = computedStyles.getPropertyValue('--sell-color').trim();
+        return {
+            up: buyColor ? `${buyColor}80` : '#0066ff80',
+            down: sellColor ? `${sellColor}80` : '#9933ff80',
+            empty: '#80808040'
+        };
+    }
+
+    // Update the initSeries method
+    initSeries() {
+        // Remove existing series if they exist
+        if (this.priceSeries) {
+            this.chart.removeSeries(this.priceSeries);
+            this.priceSeries = null;
+        }
+        if (this.volumeSeries) {
+            this.chart.removeSeries(this.volumeSeries);
+        }
+        
+        // Get computed styles for consistent theming
+        const computedStyles = getComputedStyle(document.body);
+        const textColor = computedStyles.getPropertyValue('--text-color').trim();
+        const borderColor = computedStyles.getPropertyValue('--secondary-accent').trim();
+        const backgroundColor = computedStyles.getPropertyValue('--chart-background').trim();
+
+        // Update chart options with current theme colors
+        this.chart.applyOptions({
+            layout: {
+                background: { 
+                    color: backgroundColor
+                },
+                textColor: textColor,
+                fontSize: 12,
+                fontFamily: "'Inter', 'Roboto', sans-serif",
+                panes: {
+                    separatorColor: borderColor,
+                    separatorHoverColor: `${borderColor}80`,
+                    enableResize: true,
+                },
+            }
+        });
+
+        const { HistogramSeries } = LightweightCharts;
+
+        // Create the price series in the main pane
+        this.createPriceSeries();
+
+        // Add volume histogram series to the second pane
+        this.volumeSeries = this.chart.addSeries(HistogramSeries, {
+            color: 'var(--primary-accent)',
+            priceFormat: {
+                type: 'volume',
+                formatter: value => value.toFixed(2),
+            },
+            priceScaleId: 'right',
+            base: 0,
+            scaleMargins: {
+                top: 0.3,
+                bottom: 0.3,
+            }
+        }, 1);
+
+        const secondPane = this.chart.panes()[1];
+        secondPane.setHeight(100);
+
+        // Configure the main price scale (right side)
+        this.chart.priceScale('right').applyOptions({
+            visible: true,
+            borderVisible: true,
+            borderColor: borderColor,
+            textColor: textColor,
+            autoScale: true,
+            mode: this.priceScaleMode,
+            alignLabels: true,
+            entireTextOnly: true,
+            ticksVisible: true,
             scaleMargins: {
                 top: 0.1,
                 bottom: 0.1,
@@ -1607,6 +2185,123 @@ class ChartController {
         if (oldVolumeLabel) oldVolumeLabel.remove();
     }
 
+    // (Re)create the price series for the current chart type. The new series is
+    // added before the old one is removed so the price pane never goes empty.
+    createPriceSeries() {
+        const { CandlestickSeries, BarSeries, LineSeries, AreaSeries } = LightweightCharts;
+        const seriesTypes = {
+            candles: CandlestickSeries,
+            heikinashi: CandlestickSeries,
+            renko: CandlestickSeries,
+            bars: BarSeries,
+            line: LineSeries,
+            area: AreaSeries
+        };
+        
+        const oldSeries = this.priceSeries;
+        this.priceSeries = this.chart.addSeries(seriesTypes[this.chartType], {
+            ...this.getPriceSeriesOptions(),
+            priceFormat: {
+                type: 'price',
+                precision: 8,
+                minMove: 0.00000001,
+            },
+            priceScaleId: 'right',
+        }, 0);
+        
+        if (oldSeries) {
+            this.chart.removeSeries(oldSeries);
+        }
+    }
+
+    // Theme colors for the current chart type
+    getPriceSeriesOptions() {
+        const computedStyles = getComputedStyle(document.body);
+        const buyColor = computedStyles.getPropertyValue('--buy-color').trim();
+        const sellColor = computedStyles.getPropertyValue('--sell-color').trim();
+        const accentColor = computedStyles.getPropertyValue('--primary-accent').trim();
+        
+        switch (this.chartType) {
+            case 'line':
+                return { color: accentColor, lineWidth: 2 };
+            case 'area':
+                return {
+                    lineColor: accentColor,
+                    topColor: accentColor.startsWith('#') ? `${accentColor}66` : accentColor,
+                    bottomColor: accentColor.startsWith('#') ? `${accentColor}05` : 'transparent',
+                    lineWidth: 2
+                };
+            case 'bars':
+                return { upColor: buyColor, downColor: sellColor, thinBars: false };
+            default:
+                return {
+                    upColor: buyColor,
+                    downColor: sellColor,
+                    borderVisible: true,
+                    wickVisible: this.chartType !== 'renko',
+                    wickUpColor: buyColor,
+                    wickDownColor: sellColor,
+                    borderUpColor: buyColor,
+                    borderDownColor: sellColor,
+                };
+        }
+    }
+
+    setChartType(chartType) {
+        this.chartType = chartType;
+        this.renkoBoxInput.style.display = chartType === 'renko' ? '' : 'none';
+        this.updateQueryParams();
+        
+        if (!this.chart) return;
+        
+        this.createPriceSeries();
+        this.redrawChartData();
+    }
+
+    // Bars drawn on the price pane for the current chart type
+    getDisplayData(chartData) {
+        // Re-quote in USD first, Heikin-Ashi and Renko are derived from the USD bars
+        if (this.isUsdQuote()) {
+            chartData = XianDex.convertCandles(chartData, time => this.getUsdRate(time), {
+                volumeKey: this.isInverted ? 'volume0' : 'volume1'
+            });
+        }
+        
+        switch (this.chartType) {
+            case 'heikinashi':
+                return { candles: XianDex.heikinAshi(chartData.candles), volumes: chartData.volumes };
+            case 'renko': {
+                // A box that is negligible next to the price would never finish building
+                let boxSize = this.renkoBoxSize;
+                if (boxSize && boxSize < XianDex.minRenkoBoxSize(chartData.candles)) {
+                    console.warn(`Renko box size ${boxSize} is too small for this price, using the ATR box size`);
+                    boxSize = null;
+                }
+                boxSize = boxSize || XianDex.defaultRenkoBoxSize(chartData.candles);
+                return XianDex.renko(chartData.candles, chartData.volumes, boxSize, { colors: this.getVolumeColors() });
+            }
+            default:
+                return chartData;
+        }
+    }
+
+    // Line and area series take one value per bar, whitespace bars stay { time }
+    toPriceSeriesData(candles) {
+        if (this.chartType === 'line' || this.chartType === 'area') {
+            return candles.map(candle => (XianDex.isWhitespace(candle)
+                ? candle
+                : { time: candle.time, value: candle.close }));
+        }
+        return candles;
+    }
+
+    // Redraw the aggregated candles after a chart-type or box size change
+    redrawChartData() {
+        if (this.aggregatedCandles.length > 0) {
+            this.renderChartData({ candles: this.aggregatedCandles, volumes: this.aggregatedVolumes }, { preserveView: true });
+        }
+    }
+
     async loadChartData() {
         const loading = document.getElementById('loading');
         const error = document.getElementById('error');
@@ -1617,110 +2312,1908 @@ class ChartController {
         // Stop live updates during data loading
         this.stopLiveUpdates();
         
+        this.resetSwapHistory();
+        const generation = this.historyGeneration;
+        
+        if (this.drawingTools) {
+            this.drawingTools.setDrawings(this.loadDrawings());
+        }
+        this.setPriceScaleMode(this.loadPriceScaleMode(), { save: false });
+        
+        this.pairReserves = null;
+        this.renderSwapCalculator();
+        this.refreshDepth();
+        
+        // The previous pair's route doesn't apply, reloaded once the history is in
+        this.usdRequestController.abort();
+        this.usdLegs = null;
+        
+        this.reserveChanges = [];
+        this.reservePoints = [];
+        this.updateTvlPane();
+        
         try {
             console.log(`Loading chart data for pair ${this.currentPair.id}`);
             
-            const chartData = await this.fetchSwapEvents();
-            
-            if (!chartData || !chartData.candles || chartData.candles.length === 0) {
-                throw new Error('No data available for this pair');
-            }
-            
-            console.log(`📈 Received ${chartData.candles.length} candles and ${chartData.volumes.length} volume bars`);
-            
             // Make sure series exist
-            if (!this.candlestickSeries || !this.volumeSeries) {
+            if (!this.priceSeries || !this.volumeSeries) {
                 console.log('Series not found, reinitializing...');
                 this.initSeries();
             }
             
-            // Set both candle and volume data
-            this.candlestickSeries.setData(chartData.candles);
-            this.volumeSeries.setData(chartData.volumes);
+            // Draw the cached history straight away, then fetch only what is newer.
+            // Synthetic pairs are rebuilt from their route pairs every time.
+            const synthetic = !!this.currentPair.synthetic;
+            const cachedData = synthetic ? null : await this.loadCachedSwapEvents();
+            if (generation !== this.historyGeneration) return;
             
-            // Update volume lookup map for tooltip
-            this.volumeByTime = new Map();
-            chartData.volumes.forEach(vol => {
-                this.volumeByTime.set(vol.time, vol.value);
-            });
+            if (cachedData && cachedData.candles.length > 0) {
+                this.renderChartData(cachedData, { resetView: true });
+                this.updateTradeHistory();
+                loading.style.display = 'none';
+            }
             
-            // Set visible range to last 50 bars
-            if (chartData.candles.length > 0) {
-                const timeScale = this.chart.timeScale();
-                const lastIndex = chartData.candles.length - 1;
-                const startIndex = Math.max(0, lastIndex - 49); // Show last 50 bars
-                
-                const visibleRange = {
-                    from: chartData.candles[startIndex].time,
-                    to: chartData.candles[lastIndex].time
-                };
-                
-                timeScale.setVisibleRange(visibleRange);
+            let chartData;
+            if (synthetic) {
+                chartData = await this.fetchSyntheticSwapEvents();
+            } else {
+                chartData = cachedData
+                    ? await this.syncCachedSwapEvents()
+                    : await this.fetchSwapEvents();
             }
             
-            // Ensure price scale is properly fitted
-            this.chart.priceScale('right').applyOptions({
-                autoScale: true
-            });
+            // Another pair or timeframe was selected while this one was loading
+            if (generation !== this.historyGeneration) return;
+            
+            if (!chartData || !chartData.candles || chartData.candles.length === 0) {
+                throw new Error('No data available for this pair');
+            }
+            
+            console.log(`📈 Received ${chartData.candles.length} candles and ${chartData.volumes.length} volume bars`);
+            
+            // Only reset the view if the cache didn't already draw the chart
+            this.renderChartData(chartData, cachedData ? {} : { resetView: true });
+            
+            // Route pairs and reserves are loaded back to the first candle, so they follow the history
+            this.loadUsdRoute();
+            this.loadReserveHistory();
             
             // Update trade history
             this.updateTradeHistory();
             
             loading.style.display = 'none';
+            this.chartLoadFailed = false;
             
             // Start live updates after successful data load
             this.startLiveUpdates();
             
         } catch (err) {
+            // Superseded by another pair, that load reports its own state
+            if (err.kind === 'aborted' || generation !== this.historyGeneration) return;
+            
             loading.style.display = 'none';
-            error.textContent = 'Error loading chart data: ' + err.message;
+            
+            if (this.isConnectionError(err)) {
+                this.chartLoadFailed = true;
+                error.textContent = `Cannot reach the ${this.network.name} node (${err.message}). Click the connection status to retry.`;
+            } else {
+                error.textContent = 'Error loading chart data: ' + err.message;
+            }
             error.style.display = 'block';
             console.error('Chart data loading error:', err);
         }
     }
 
-    // Add back the missing calculatePrice method
-    calculatePrice(dataIndexed, data) {
+    // Push candles and volumes to the chart. resetView shows the last 50 bars,
+    // preserveView pins the currently visible time range (used when prepending history).
+    renderChartData(chartData, { resetView = false, preserveView = false } = {}) {
+        const timeScale = this.chart.timeScale();
+        const visibleRange = preserveView ? timeScale.getVisibleRange() : null;
+        
+        // Live trades are folded into the last candle from here on
+        this.candleAggregator = new XianDex.CandleAggregator(chartData.candles, chartData.volumes, this.getCandleOptions());
+        this.aggregatedCandles = chartData.candles;
+        this.aggregatedVolumes = chartData.volumes;
+        
+        this.setDisplayData(this.getDisplayData(chartData));
+        const candles = this.currentCandles;
+        
+        if (visibleRange) {
+            timeScale.setVisibleRange(visibleRange);
+        } else if (resetView && candles.length > 0) {
+            // Set visible range to last 50 bars
+            const lastIndex = candles.length - 1;
+            const startIndex = Math.max(0, lastIndex - 49); // Show last 50 bars
+            
+            timeScale.setVisibleRange({
+                from: candles[startIndex].time,
+                to: candles[lastIndex].time
+            });
+            
+            // Ensure price scale is properly fitted
+            this.chart.priceScale('right').applyOptions({
+                autoScale: true
+            });
+        }
+        
+        if (this.drawingTools) {
+            this.drawingTools.render();
+        }
+        
+        // Compared pairs follow the timeframe, inversion and first candle
+        if (this.comparisons.size > 0) {
+            this.refreshComparisons();
+        }
+    }
+
+    // Set both price and volume data and everything computed from them
+    setDisplayData(displayData) {
+        this.priceSeries.setData(this.toPriceSeriesData(displayData.candles));
+        this.volumeSeries.setData(displayData.volumes);
+        
+        // Update volume lookup map for tooltip
+        this.volumeByTime = new Map();
+        displayData.volumes.forEach(vol => {
+            this.volumeByTime.set(vol.time, vol.value);
+        });
+        
+        this.currentCandles = displayData.candles;
+        this.currentVolumes = displayData.volumes;
+        this.updateIndicators();
+        this.updateTvlPane();
+        this.updateOhlcLegend();
+        this.updateTradeMarkers();
+        this.renderSwapCalculator();
+    }
+
+    // Replace bars with the same time and append newer ones, like series.update()
+    mergeBars(bars, updatedBars) {
+        const merged = [...bars];
+        updatedBars.forEach(bar => {
+            const last = merged[merged.length - 1];
+            if (last && last.time === bar.time) {
+                merged[merged.length - 1] = bar;
+            } else if (!last || bar.time > last.time) {
+                merged.push(bar);
+            }
+        });
+        return merged;
+    }
+
+    // Modes are stored as { [trade cache key]: mode }, pairs without an entry are linear
+    loadPriceScaleMode() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('priceScaleModes')) || {};
+            const mode = saved[this.getTradeCacheKey()];
+            return this.priceScaleModes.some(scale => scale.mode === mode) ? mode : 0;
+        } catch (err) {
+            console.error('Error reading saved price scale modes:', err);
+            return 0;
+        }
+    }
+
+    setPriceScaleMode(mode, { save = true } = {}) {
+        this.priceScaleMode = mode;
+        this.applyPriceScaleMode();
+        
+        if (save && this.currentPair) {
+            let saved = {};
+            try {
+                saved = JSON.parse(localStorage.getItem('priceScaleModes')) || {};
+            } catch (err) {
+                console.error('Error reading saved price scale modes:', err);
+            }
+            
+            if (mode === 0) {
+                delete saved[this.getTradeCacheKey()];
+            } else {
+                saved[this.getTradeCacheKey()] = mode;
+            }
+            localStorage.setItem('priceScaleModes', JSON.stringify(saved));
+        }
+    }
+
+    // Comparisons only make sense on a relative scale, so linear and logarithmic
+    // show as percentage while pairs are compared
+    getEffectivePriceScaleMode() {
+        return this.comparisons.size > 0 && this.priceScaleMode < 2 ? 2 : this.priceScaleMode;
+    }
+
+    applyPriceScaleMode() {
+        const mode = this.getEffectivePriceScaleMode();
+        
+        if (this.priceScaleSelect) {
+            this.priceScaleSelect.value = mode;
+            Array.from(this.priceScaleSelect.options).forEach(option => {
+                option.disabled = this.comparisons.size > 0 && parseInt(option.value) < 2;
+            });
+        }
+        if (this.chart) {
+            this.chart.priceScale('right').applyOptions({ mode });
+        }
+    }
+
+    // Right-clicking the price scale opens a menu with the scale modes
+    createPriceScaleMenu() {
+        this.priceScaleMenu = document.createElement('div');
+        this.priceScaleMenu.className = 'price-scale-menu';
+        this.priceScaleMenu.style.position = 'fixed';
+        this.priceScaleMenu.style.display = 'none';
+        this.priceScaleMenu.style.zIndex = '1000';
+        this.priceScaleMenu.style.padding = '4px 0';
+        this.priceScaleMenu.style.backgroundColor = 'var(--modal-background)';
+        this.priceScaleMenu.style.border = '1px solid var(--modal-border-color)';
+        this.priceScaleMenu.style.borderRadius = '4px';
+        this.priceScaleMenu.style.boxShadow = '0 2px 5px rgba(0, 0, 0, 0.3)';
+        this.priceScaleMenu.style.color = 'var(--text-color)';
+        this.priceScaleMenu.style.fontSize = '12px';
+        document.body.appendChild(this.priceScaleMenu);
+        
+        this.chartContainer.addEventListener('contextmenu', event => {
+            const rect = this.chartContainer.getBoundingClientRect();
+            const x = event.clientX - rect.left;
+            const y = event.clientY - rect.top;
+            const pricePane = this.chart.panes()[0];
+            
+            // Only the right price scale of the price pane
+            if (x <= this.chart.timeScale().width() || !pricePane || y > pricePane.getHeight()) {
+                return;
+            }
+            
+            event.preventDefault();
+            this.renderPriceScaleMenu();
+            this.priceScaleMenu.style.left = `${Math.min(event.clientX, window.innerWidth - 160)}px`;
+            this.priceScaleMenu.style.top = `${event.clientY}px`;
+            this.priceScaleMenu.style.display = 'block';
+        });
+        
+        // Close when clicking anywhere else
+        this.priceScaleMenu.addEventListener('click', event => event.stopPropagation());
+        document.addEventListener('click', () => {
+            this.priceScaleMenu.style.display = 'none';
+        });
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                this.priceScaleMenu.style.display = 'none';
+            }
+        });
+    }
+
+    renderPriceScaleMenu() {
+        this.priceScaleMenu.innerHTML = '';
+        
+        this.priceScaleModes.forEach(scale => {
+            const item = document.createElement('div');
+            const disabled = this.comparisons.size > 0 && scale.mode < 2;
+            item.textContent = `${scale.mode === this.getEffectivePriceScaleMode() ? '✓' : '\u00a0\u00a0'} ${scale.label}`;
+            item.style.padding = '6px 14px';
+            item.style.cursor = 'pointer';
+            item.style.whiteSpace = 'nowrap';
+            
+            if (disabled) {
+                item.style.opacity = '0.5';
+                item.style.cursor = 'default';
+                item.title = 'Not available while comparing pairs';
+                this.priceScaleMenu.appendChild(item);
+                return;
+            }
+            
+            item.addEventListener('mouseover', () => {
+                item.style.backgroundColor = 'var(--secondary-accent)';
+            });
+            item.addEventListener('mouseout', () => {
+                item.style.backgroundColor = 'transparent';
+            });
+            item.addEventListener('click', () => {
+                this.setPriceScaleMode(scale.mode);
+                this.priceScaleMenu.style.display = 'none';
+            });
+            
+            this.priceScaleMenu.appendChild(item);
+        });
+    }
+
+    getComparisonLabel(pair) {
+        const symbol0 = this.tokens.get(pair.token0)?.symbol || pair.token0;
+        const symbol1 = this.tokens.get(pair.token1)?.symbol || pair.token1;
+        return this.isInverted ? `${symbol0}/${symbol1}` : `${symbol1}/${symbol0}`;
+    }
+
+    renderCompareOptions() {
+        if (!this.compareSelect) return;
+        
+        this.compareSelect.innerHTML = '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Compare';
+        this.compareSelect.appendChild(placeholder);
+        
+        this.pairs
+            .filter(pair => pair !== this.currentPair && !this.comparisons.has(pair.id))
+            .forEach(pair => {
+                const option = document.createElement('option');
+                option.value = pair.id;
+                option.textContent = this.getComparisonLabel(pair);
+                this.compareSelect.appendChild(option);
+            });
+        
+        this.compareSelect.value = '';
+    }
+
+    async addComparison(pairId) {
+        const pair = this.pairs.find(p => p.id === pairId);
+        if (!pair || !this.chart || pair === this.currentPair || this.comparisons.has(pairId)) {
+            return;
+        }
+        
+        const palette = ['#ff9800', '#e91e63', '#8bc34a', '#03a9f4', '#ba68c8', '#ffeb3b'];
+        const usedColors = new Set(Array.from(this.comparisons.values()).map(entry => entry.color));
+        const color = palette.find(c => !usedColors.has(c)) || palette[this.comparisons.size % palette.length];
+        
+        const { LineSeries } = LightweightCharts;
+        const entry = {
+            pair,
+            color,
+            series: this.chart.addSeries(LineSeries, {
+                color,
+                lineWidth: 2,
+                priceScaleId: 'right',
+                priceLineVisible: false,
+                title: this.getComparisonLabel(pair),
+            }, 0),
+            trades: [],
+            lastTimestampStr: null
+        };
+        
+        this.comparisons.set(pairId, entry);
+        this.applyPriceScaleMode();
+        this.renderCompareLegend();
+        
+        try {
+            await this.loadPairTrades(entry, this.compareRequestController.signal);
+            if (this.comparisons.get(pairId) !== entry) return;
+            
+            this.setCandleTrades(entry.trades, `compare:${pairId}`);
+            await this.refreshComparison(entry);
+        } catch (err) {
+            if (err.kind === 'aborted') return;
+            console.error(`Error loading comparison pair ${pairId}:`, err);
+            this.removeComparison(pairId);
+        }
+    }
+
+    // Fetch pages of swaps of entry.pair until they reach back to the first candle
+    // on the chart. Shared by compared pairs and the USD route legs.
+    async loadPairTrades(entry, signal, maxPages = 5,
+        firstTime = this.aggregatedCandles.length > 0 ? this.aggregatedCandles[0].time * 1000 : null) {
+        let cursor = null;
+        
+        for (let page = 0; page < maxPages; page++) {
+            const result = await this.client.fetchSwapEvents(entry.pair.id, {
+                first: this.historyPageSize,
+                after: cursor,
+                signal
+            });
+            entry.trades = this.mergeTrades(entry.trades, result.trades);
+            
+            const oldest = entry.trades[0];
+            if (!result.pageInfo.hasNextPage || (firstTime !== null && oldest && oldest.timestamp.getTime() <= firstTime)) {
+                break;
+            }
+            cursor = result.pageInfo.endCursor;
+        }
+        
+        const newest = entry.trades[entry.trades.length - 1];
+        entry.lastTimestampStr = newest ? newest.timestampStr : null;
+        console.log(`📊 Loaded ${entry.trades.length} trades of ${entry.pair.id}`);
+    }
+
+    // Aggregate a compared pair with the chart's timeframe and draw its closes
+    // from the first candle of the main pair onwards
+    async refreshComparison(entry) {
+        const chartData = await this.aggregateCandles(`compare:${entry.pair.id}`);
+        if (this.comparisons.get(entry.pair.id) !== entry) return;
+        
+        // Renko bricks aren't spaced in time, other pairs can't be lined up with them
+        if (this.chartType === 'renko') {
+            entry.series.setData([]);
+            return;
+        }
+        
+        const firstTime = this.currentCandles.length > 0 ? this.currentCandles[0].time : null;
+        entry.series.applyOptions({ title: this.getComparisonLabel(entry.pair) });
+        entry.series.setData(chartData.candles
+            .filter(candle => firstTime === null || candle.time >= firstTime)
+            .map(candle => (XianDex.isWhitespace(candle) ? candle : { time: candle.time, value: candle.close })));
+    }
+
+    async refreshComparisons() {
+        this.renderCompareLegend();
+        
+        for (const entry of Array.from(this.comparisons.values())) {
+            try {
+                await this.refreshComparison(entry);
+            } catch (err) {
+                console.error(`Error refreshing comparison ${entry.pair.id}:`, err);
+            }
+        }
+    }
+
+    // Fold new swaps of the compared pairs in, called from the live update loop
+    async updateComparisons() {
+        for (const entry of Array.from(this.comparisons.values())) {
+            if (!entry.lastTimestampStr) continue;
+            
+            try {
+                const newTrades = await this.client.fetchNewTrades(entry.pair.id, entry.lastTimestampStr, {
+                    signal: this.compareRequestController.signal
+                });
+                if (newTrades.length === 0 || this.comparisons.get(entry.pair.id) !== entry) continue;
+                
+                entry.trades = this.mergeTrades(entry.trades, newTrades);
+                entry.lastTimestampStr = entry.trades[entry.trades.length - 1].timestampStr;
+                this.addCandleTrades(newTrades, `compare:${entry.pair.id}`, entry.trades);
+                await this.refreshComparison(entry);
+                
+                console.log(`📈 [DEBUG] Added ${newTrades.length} trades to comparison ${entry.pair.id}`);
+            } catch (err) {
+                if (err.kind !== 'aborted') {
+                    console.error(`Error updating comparison ${entry.pair.id}:`, err);
+                }
+            }
+        }
+    }
+
+    removeComparison(pairId) {
+        const entry = this.comparisons.get(pairId);
+        if (!entry) return;
+        
+        this.chart.removeSeries(entry.series);
+        this.comparisons.delete(pairId);
+        
+        const key = `compare:${pairId}`;
+        this.candleTradeSets.delete(key);
+        if (this.candleWorker) {
+            this.candleWorker.postMessage({ type: 'clear', key });
+        }
+        
+        this.applyPriceScaleMode();
+        this.renderCompareLegend();
+    }
+
+    clearComparisons() {
+        this.compareRequestController.abort();
+        this.compareRequestController = new AbortController();
+        Array.from(this.comparisons.keys()).forEach(pairId => this.removeComparison(pairId));
+    }
+
+    renderCompareLegend() {
+        if (!this.compareLegend) return;
+        
+        this.compareLegend.innerHTML = '';
+        this.compareLegend.style.display = this.comparisons.size > 0 ? 'flex' : 'none';
+        
+        this.comparisons.forEach((entry, pairId) => {
+            const item = document.createElement('span');
+            item.className = 'compare-legend-item';
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'compare-legend-swatch';
+            swatch.style.backgroundColor = entry.color;
+            
+            const label = document.createElement('span');
+            label.textContent = this.getComparisonLabel(entry.pair);
+            
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '×';
+            removeButton.title = 'Stop comparing';
+            removeButton.addEventListener('click', () => this.removeComparison(pairId));
+            
+            item.appendChild(swatch);
+            item.appendChild(label);
+            item.appendChild(removeButton);
+            this.compareLegend.appendChild(item);
+        });
+    }
+
+    // Token contract by symbol, USDC and XIAN are found in the token metadata
+    findTokenBySymbol(symbol) {
+        for (const [contract, token] of this.tokens) {
+            if (token?.symbol === symbol) return contract;
+        }
+        return null;
+    }
+
+    // Route from a token to USDC, through XIAN when there is no direct pair
+    findUsdRoute(token) {
+        const usdToken = this.findTokenBySymbol('USDC');
+        if (!usdToken) return null;
+        return XianDex.findRoute(this.pairs, token, usdToken, this.getHubToken());
+    }
+
+    // XIAN, which most tokens trade against; 'currency' is its contract
+    getHubToken() {
+        return this.findTokenBySymbol('XIAN') || 'currency';
+    }
+
+    // Listed pairs by id. Synthetic ones ('synthetic:<token0>:<token1>') are built on demand.
+    getPairById(pairId) {
+        const pair = this.pairs.find(p => p.id === pairId);
+        if (pair || !pairId || !pairId.startsWith('synthetic:')) {
+            return pair || null;
+        }
+        
+        const [, token0, token1] = pairId.split(':');
+        return this.createSyntheticPair(token0, token1);
+    }
+
+    // A pair without a pool, token0 priced in token1 through the XIAN hub.
+    // null when the tokens trade directly or nothing connects them.
+    createSyntheticPair(token0, token1) {
+        if (!token0 || !token1 || token0 === token1) return null;
+        
+        const route = XianDex.findRoute(this.pairs, token0, token1, this.getHubToken());
+        if (!route || route.length < 2) return null;
+        
+        return {
+            id: `synthetic:${token0}:${token1}`,
+            token0,
+            token1,
+            synthetic: true,
+            route,
+            volume24h: 0,
+            volume24h0: 0,
+            volume24h1: 0,
+            currentPrice: null,
+            priceChange: null
+        };
+    }
+
+    // e.g. "Synthetic via A/XIAN and XIAN/B"
+    getSyntheticRouteLabel(pair) {
+        const symbol = token => this.tokens.get(token)?.symbol || token;
+        return `Synthetic via ${pair.route.map(leg => `${symbol(leg.from)}/${symbol(leg.to)}`).join(' and ')}`;
+    }
+
+    // Load recent swaps of every route pair and combine them into the synthetic
+    // pair's swaps. Older history isn't paged in for synthetic pairs.
+    async fetchSyntheticSwapEvents() {
+        const pair = this.currentPair;
+        const signal = this.getPairRequestSignal();
+        const legs = pair.route.map(leg => ({
+            ...leg,
+            pair: this.pairs.find(p => p.id === leg.pairId),
+            trades: [],
+            lastTimestampStr: null
+        }));
+        
+        for (const leg of legs) {
+            await this.loadPairTrades(leg, signal, 3, null);
+        }
+        
+        this.syntheticLegs = legs;
+        this.rawTrades = XianDex.syntheticTrades(pair.route, legs.map(leg => leg.trades), pair.id);
+        this.hasMoreHistory = false;
+        
+        console.log(`🔀 Built ${this.rawTrades.length} synthetic trades for ${pair.id}`);
+        
+        if (this.rawTrades.length === 0) {
+            return { candles: [], volumes: [] };
+        }
+        
+        this.setCandleTrades(this.rawTrades);
+        return await this.aggregateCandles();
+    }
+
+    createCrossPairPanel(button) {
+        this.crossPairPanel = document.createElement('div');
+        this.crossPairPanel.className = 'indicator-panel';
+        this.crossPairPanel.style.position = 'fixed';
+        this.crossPairPanel.style.display = 'none';
+        this.crossPairPanel.style.zIndex = '1000';
+        this.crossPairPanel.style.minWidth = '260px';
+        this.crossPairPanel.style.padding = '10px';
+        this.crossPairPanel.style.backgroundColor = 'var(--modal-background)';
+        this.crossPairPanel.style.border = '1px solid var(--modal-border-color)';
+        this.crossPairPanel.style.borderRadius = '4px';
+        this.crossPairPanel.style.boxShadow = '0 2px 5px rgba(0, 0, 0, 0.3)';
+        this.crossPairPanel.style.color = 'var(--text-color)';
+        this.crossPairPanel.style.fontSize = '12px';
+        document.body.appendChild(this.crossPairPanel);
+        
+        button.addEventListener('click', event => {
+            event.stopPropagation();
+            
+            if (this.crossPairPanel.style.display === 'none') {
+                const rect = button.getBoundingClientRect();
+                this.crossPairPanel.style.top = `${rect.bottom + 6}px`;
+                this.crossPairPanel.style.left = `${rect.left}px`;
+                this.renderCrossPairPanel();
+                this.crossPairPanel.style.display = 'block';
+            } else {
+                this.crossPairPanel.style.display = 'none';
+            }
+        });
+        
+        // Close when clicking anywhere else
+        this.crossPairPanel.addEventListener('click', event => event.stopPropagation());
+        document.addEventListener('click', () => {
+            this.crossPairPanel.style.display = 'none';
+        });
+    }
+
+    // Base and quote token pickers with the route that would be used
+    renderCrossPairPanel() {
+        this.crossPairPanel.innerHTML = '';
+        
+        const symbol = token => this.tokens.get(token)?.symbol || token;
+        const tokens = Array.from(this.tokens.keys())
+            .sort((a, b) => symbol(a).localeCompare(symbol(b)));
+        
+        const createTokenSelect = (labelText, selected) => {
+            const row = document.createElement('label');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.justifyContent = 'space-between';
+            row.style.gap = '8px';
+            row.style.marginBottom = '8px';
+            row.textContent = labelText;
+            
+            const select = document.createElement('select');
+            select.className = 'timeframe-select';
+            select.style.padding = '2px 4px';
+            select.style.borderRadius = '3px';
+            select.style.border = '1px solid #3a3a3a';
+            tokens.forEach(token => {
+                const option = document.createElement('option');
+                option.value = token;
+                option.textContent = symbol(token);
+                select.appendChild(option);
+            });
+            select.value = selected;
+            
+            row.appendChild(select);
+            this.crossPairPanel.appendChild(row);
+            return select;
+        };
+        
+        const baseSelect = createTokenSelect('Base', this.currentPair ? this.currentPair.token0 : tokens[0]);
+        const quoteSelect = createTokenSelect('Quote', this.currentPair ? this.currentPair.token1 : tokens[1]);
+        
+        const routeInfo = document.createElement('div');
+        routeInfo.style.marginBottom = '8px';
+        routeInfo.style.opacity = '0.8';
+        this.crossPairPanel.appendChild(routeInfo);
+        
+        const openButton = document.createElement('button');
+        openButton.textContent = 'Open';
+        openButton.className = 'toggle-button';
+        openButton.style.padding = '4px 12px';
+        openButton.style.backgroundColor = '#3a3a3a';
+        openButton.style.border = '1px solid var(--secondary-accent)';
+        openButton.style.borderRadius = '4px';
+        openButton.style.color = 'var(--text-color)';
+        openButton.style.cursor = 'pointer';
+        this.crossPairPanel.appendChild(openButton);
+        
+        // The pair to open for the selection: the pool itself, or a synthetic pair
+        const resolve = () => {
+            const base = baseSelect.value;
+            const quote = quoteSelect.value;
+            if (base === quote) {
+                return { message: 'Pick two different tokens' };
+            }
+            
+            const direct = this.pairs.find(pair =>
+                (pair.token0 === base && pair.token1 === quote) || (pair.token0 === quote && pair.token1 === base));
+            if (direct) {
+                return { pair: direct, inverted: direct.token0 !== base, message: 'Direct pool, opens the pair' };
+            }
+            
+            const synthetic = this.createSyntheticPair(base, quote);
+            if (!synthetic) {
+                return { message: `No route through ${symbol(this.getHubToken())}` };
+            }
+            return { pair: synthetic, inverted: false, message: this.getSyntheticRouteLabel(synthetic) };
+        };
+        
+        const update = () => {
+            const { pair, message } = resolve();
+            routeInfo.textContent = message;
+            openButton.disabled = !pair;
+            openButton.style.opacity = pair ? '1' : '0.5';
+        };
+        
+        baseSelect.addEventListener('change', update);
+        quoteSelect.addEventListener('change', update);
+        update();
+        
+        openButton.addEventListener('click', async () => {
+            const { pair, inverted } = resolve();
+            if (!pair) return;
+            
+            this.crossPairPanel.style.display = 'none';
+            this.isInverted = inverted;
+            await this.changePair(pair.id);
+        });
+    }
+
+    // New swaps of the route pairs as synthetic swaps, shaped like fetchNewTrades()
+    async fetchNewSyntheticTrades() {
+        const pair = this.currentPair;
+        const legs = this.syntheticLegs;
+        if (!legs) {
+            return { newTrades: [], hasNewTrades: false };
+        }
+        
+        try {
+            let changed = false;
+            for (const leg of legs) {
+                if (!leg.lastTimestampStr) continue;
+                
+                const newTrades = await this.client.fetchNewTrades(leg.pairId, leg.lastTimestampStr, {
+                    signal: this.getPairRequestSignal()
+                });
+                if (newTrades.length === 0) continue;
+                
+                leg.trades = this.mergeTrades(leg.trades, newTrades);
+                leg.lastTimestampStr = leg.trades[leg.trades.length - 1].timestampStr;
+                changed = true;
+            }
+            
+            if (!changed || this.syntheticLegs !== legs) {
+                return { newTrades: [], hasNewTrades: false };
+            }
+            
+            const knownTrades = new Set(this.rawTrades.map(trade => trade.id));
+            const newTrades = XianDex.syntheticTrades(pair.route, legs.map(leg => leg.trades), pair.id)
+                .filter(trade => !knownTrades.has(trade.id));
+            
+            console.log(`🔀 [DEBUG] fetchNewSyntheticTrades: ${newTrades.length} new synthetic trades`);
+            return { newTrades, hasNewTrades: newTrades.length > 0 };
+        } catch (error) {
+            if (error.kind !== 'aborted') {
+                console.error('Error fetching new synthetic trades:', error);
+            }
+            return { newTrades: [], hasNewTrades: false };
+        }
+    }
+
+    // Token the chart's prices are expressed in
+    getQuoteToken() {
+        return this.isInverted ? this.currentPair.token0 : this.currentPair.token1;
+    }
+
+    isUsdQuote() {
+        return this.quoteCurrency === 'usd' && this.usdLegs !== null;
+    }
+
+    // Unit of prices and trade values
+    getQuoteSymbol() {
+        if (this.isUsdQuote()) return 'USD';
+        const token = this.getQuoteToken();
+        return this.tokens.get(token)?.symbol || token;
+    }
+
+    // USD per quote token at a time in seconds, from the route pairs' swaps around it
+    getUsdRate(time) {
+        return XianDex.routeRate(this.usdLegs.map(leg => leg.prices), time);
+    }
+
+    setQuoteCurrency(currency) {
+        this.quoteCurrency = currency;
+        localStorage.setItem('quoteCurrency', currency);
+        this.updateQueryParams();
+        this.loadUsdRoute();
+    }
+
+    // Load the swaps of the pairs between the quote token and USDC, then redraw.
+    // Without a route the chart stays in the pair's quote token.
+    async loadUsdRoute() {
+        this.usdRequestController.abort();
+        this.usdRequestController = new AbortController();
+        const signal = this.usdRequestController.signal;
+        
+        const wasUsd = this.usdLegs !== null;
+        this.usdLegs = null;
+        
+        let legs = null;
+        if (this.quoteCurrency === 'usd' && this.currentPair) {
+            const route = this.findUsdRoute(this.getQuoteToken());
+            
+            if (route) {
+                legs = route.map(leg => ({
+                    ...leg,
+                    pair: this.pairs.find(pair => pair.id === leg.pairId),
+                    trades: [],
+                    prices: [],
+                    lastTimestampStr: null
+                }));
+                
+                try {
+                    for (const leg of legs) {
+                        await this.loadPairTrades(leg, signal, 20);
+                        leg.prices = XianDex.tradePrices(leg.trades, leg.inverted);
+                    }
+                } catch (err) {
+                    if (err.kind === 'aborted') return;
+                    console.error('Error loading USD route:', err);
+                    legs = null;
+                }
+                
+                if (signal.aborted) return;
+                
+                // A route pair that never traded has no rate to offer
+                if (legs && legs.some(leg => leg.prices.length === 0)) {
+                    legs = null;
+                }
+            }
+            
+            if (!legs) {
+                console.warn(`No USDC route for ${this.getQuoteSymbol()}, prices stay in the pair's quote token`);
+            }
+        }
+        
+        this.usdLegs = legs;
+        if (this.quoteSelect) {
+            this.quoteSelect.title = this.quoteCurrency === 'usd' && !legs
+                ? 'No USDC route for this pair, prices are in the pair quote'
+                : 'Quote currency';
+        }
+        
+        if (legs || wasUsd) {
+            this.redrawChartData();
+            this.updateChartTitle();
+            this.updateTradeHistory();
+        }
+        this.updatePairsPanel();
+    }
+
+    // Fold new swaps of the route pairs in, called from the live update loop
+    async updateUsdLegs() {
+        const legs = this.usdLegs;
+        if (!legs) return;
+        
+        let changed = false;
+        for (const leg of legs) {
+            if (!leg.lastTimestampStr) continue;
+            
+            try {
+                const newTrades = await this.client.fetchNewTrades(leg.pairId, leg.lastTimestampStr, {
+                    signal: this.usdRequestController.signal
+                });
+                if (newTrades.length === 0 || this.usdLegs !== legs) continue;
+                
+                leg.trades = this.mergeTrades(leg.trades, newTrades);
+                leg.lastTimestampStr = leg.trades[leg.trades.length - 1].timestampStr;
+                leg.prices = XianDex.tradePrices(leg.trades, leg.inverted);
+                changed = true;
+            } catch (err) {
+                if (err.kind !== 'aborted') {
+                    console.error(`Error updating USD route pair ${leg.pairId}:`, err);
+                }
+            }
+        }
+        
+        if (changed && this.usdLegs === legs) {
+            this.redrawChartData();
+        }
+    }
+
+    // Current USD price of a token and its 24h change in percent, null without a route to USDC
+    getTokenUsdPrice(token) {
+        return this.getTokenPrice(token, this.findTokenBySymbol('USDC'));
+    }
+
+    // Current price of a token in another one and its 24h change in percent, from
+    // the latest prices in the pairs list. null when no route connects them.
+    getTokenPrice(token, targetToken) {
+        const route = targetToken ? XianDex.findRoute(this.pairs, token, targetToken, this.getHubToken()) : null;
+        if (!route) return null;
+        
+        let price = 1;
+        let changeFactor = 1;
+        for (const leg of route) {
+            const pair = this.pairs.find(p => p.id === leg.pairId);
+            if (!pair || !(pair.currentPrice > 0)) return null;
+            
+            // The list's prices are in the orientation it was fetched in
+            const flip = leg.inverted !== this.pairsInverted;
+            const change = 1 + (pair.priceChange || 0) / 100;
+            price *= flip ? 1 / pair.currentPrice : pair.currentPrice;
+            changeFactor *= flip ? 1 / change : change;
+        }
+        
+        return { price, change: (changeFactor - 1) * 100 };
+    }
+
+    // Side panel over the right of the chart, laid out by the .depth-panel rules in index.html
+    createDepthPanel() {
+        this.depthPanel = document.createElement('div');
+        this.depthPanel.className = 'depth-panel';
+        
+        const header = document.createElement('div');
+        header.className = 'depth-panel-header';
+        
+        this.depthTitle = document.createElement('span');
+        this.depthTitle.textContent = 'Liquidity depth';
+        
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '×';
+        closeButton.title = 'Close';
+        closeButton.addEventListener('click', () => this.toggleDepthPanel(false));
+        
+        header.appendChild(this.depthTitle);
+        header.appendChild(closeButton);
+        
+        this.depthReservesLabel = document.createElement('div');
+        this.depthReservesLabel.className = 'depth-panel-reserves';
+        
+        const body = document.createElement('div');
+        body.className = 'depth-panel-body';
+        
+        this.depthPanel.appendChild(header);
+        this.depthPanel.appendChild(this.depthReservesLabel);
+        this.depthPanel.appendChild(body);
+        this.chartContainer.appendChild(this.depthPanel);
+        
+        this.depthChart = new DepthChart(body);
+        
+        window.addEventListener('resize', debounce(() => {
+            if (this.isDepthPanelOpen()) {
+                this.depthChart.draw();
+            }
+        }, 250));
+    }
+
+    isDepthPanelOpen() {
+        return !!this.depthPanel && this.depthPanel.style.display === 'flex';
+    }
+
+    toggleDepthPanel(open = !this.isDepthPanelOpen()) {
+        if (!this.depthPanel) return;
+        
+        this.depthPanel.style.display = open ? 'flex' : 'none';
+        if (open) {
+            this.renderDepth();
+            this.refreshDepth();
+        }
+    }
+
+    // Read the reserves of the current pair while the depth or swap panel is open
+    async refreshDepth() {
+        if ((!this.isDepthPanelOpen() && !this.isSwapPanelOpen()) || !this.currentPair) return;
+        
+        if (this.currentPair.synthetic) {
+            this.renderDepth();
+            this.renderSwapCalculator();
+            return;
+        }
+        
+        const pair = this.currentPair;
+        try {
+            const reserves = await this.client.fetchPairReserves(pair.id, { signal: this.getPairRequestSignal() });
+            if (pair !== this.currentPair) return;
+            
+            this.pairReserves = reserves;
+            this.renderDepth();
+            this.renderSwapCalculator();
+        } catch (err) {
+            if (err.kind === 'aborted') return;
+            console.error('Error loading pair reserves:', err);
+            this.depthReservesLabel.textContent = `Reserves unavailable: ${err.message}`;
+            this.swapStatus.textContent = `Reserves unavailable: ${err.message}`;
+        }
+    }
+
+    // The base token is the one priced on the chart, token0 unless inverted
+    renderDepth() {
+        if (!this.depthChart || !this.isDepthPanelOpen()) return;
+        
+        if (this.currentPair && this.currentPair.synthetic) {
+            this.depthReservesLabel.textContent = 'Synthetic pairs have no pool of their own';
+            this.depthChart.setData(null, { base: '', quote: '' });
+            return;
+        }
+        
+        if (!this.currentPair || !this.pairReserves) {
+            this.depthReservesLabel.textContent = this.currentPair ? 'Loading reserves...' : '';
+            this.depthChart.setData(null, { base: '', quote: '' });
+            return;
+        }
+        
+        const { reserve0, reserve1 } = this.pairReserves;
+        const symbol0 = this.tokens.get(this.currentPair.token0)?.symbol || this.currentPair.token0;
+        const symbol1 = this.tokens.get(this.currentPair.token1)?.symbol || this.currentPair.token1;
+        
+        const depth = this.isInverted
+            ? XianDex.calculateDepth(reserve1, reserve0)
+            : XianDex.calculateDepth(reserve0, reserve1);
+        const labels = this.isInverted
+            ? { base: symbol1, quote: symbol0 }
+            : { base: symbol0, quote: symbol1 };
+        
+        this.depthReservesLabel.textContent =
+            `Reserves: ${reserve0.toLocaleString(undefined, { maximumFractionDigits: 4 })} ${symbol0} · ` +
+            `${reserve1.toLocaleString(undefined, { maximumFractionDigits: 4 })} ${symbol1}`;
+        this.depthChart.setData(depth, labels);
+    }
+
+    createSwapPanel() {
+        this.swapPanel = document.createElement('div');
+        this.swapPanel.className = 'swap-panel';
+        
+        const header = document.createElement('div');
+        header.className = 'depth-panel-header';
+        
+        const title = document.createElement('span');
+        title.textContent = 'Swap calculator';
+        
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '×';
+        closeButton.title = 'Close';
+        closeButton.addEventListener('click', () => this.toggleSwapPanel(false));
+        
+        header.appendChild(title);
+        header.appendChild(closeButton);
+        
+        const form = document.createElement('div');
+        form.className = 'swap-panel-form';
+        
+        // Option labels carry the token symbols, set in renderSwapCalculator
+        this.swapSideSelect = document.createElement('select');
+        ['buy', 'sell'].forEach(side => {
+            const option = document.createElement('option');
+            option.value = side;
+            this.swapSideSelect.appendChild(option);
+        });
+        this.swapSideSelect.value = this.swapInput.side;
+        this.swapSideSelect.addEventListener('change', () => {
+            this.swapInput.side = this.swapSideSelect.value;
+            this.renderSwapCalculator();
+        });
+        
+        this.swapAmountInput = document.createElement('input');
+        this.swapAmountInput.type = 'number';
+        this.swapAmountInput.min = '0';
+        this.swapAmountInput.step = 'any';
+        this.swapAmountInput.value = this.swapInput.amount;
+        this.swapAmountInput.addEventListener('input', () => {
+            this.swapInput.amount = this.swapAmountInput.value;
+            this.renderSwapCalculator();
+        });
+        
+        form.appendChild(this.swapSideSelect);
+        form.appendChild(this.swapAmountInput);
+        
+        this.swapStatus = document.createElement('div');
+        this.swapStatus.className = 'depth-panel-reserves';
+        
+        this.swapResults = document.createElement('div');
+        
+        this.swapPanel.appendChild(header);
+        this.swapPanel.appendChild(form);
+        this.swapPanel.appendChild(this.swapStatus);
+        this.swapPanel.appendChild(this.swapResults);
+        this.chartContainer.appendChild(this.swapPanel);
+    }
+
+    isSwapPanelOpen() {
+        return !!this.swapPanel && this.swapPanel.style.display === 'flex';
+    }
+
+    toggleSwapPanel(open = !this.isSwapPanelOpen()) {
+        if (!this.swapPanel) return;
+        
+        this.swapPanel.style.display = open ? 'flex' : 'none';
+        this.renderSwapCalculator();
+        if (open) {
+            this.refreshDepth();
+            this.swapAmountInput.focus();
+        }
+    }
+
+    // Swap of the entered amount against the current reserves. Buying the base
+    // token pays in the quote token, selling pays in the base token. Prices are
+    // quote per base like the chart's, before any USD conversion.
+    getSwapQuote() {
+        if (!this.currentPair || this.currentPair.synthetic || !this.pairReserves) return null;
+        
+        const amountIn = parseFloat(this.swapInput.amount);
+        const buying = this.swapInput.side === 'buy';
+        const { reserve0, reserve1 } = this.pairReserves;
+        const reserveBase = this.isInverted ? reserve1 : reserve0;
+        const reserveQuote = this.isInverted ? reserve0 : reserve1;
+        const quoteToken = this.getQuoteToken();
+        const baseToken = quoteToken === this.currentPair.token0 ? this.currentPair.token1 : this.currentPair.token0;
+        
+        const swap = buying
+            ? XianDex.calculateSwap(reserveQuote, reserveBase, amountIn)
+            : XianDex.calculateSwap(reserveBase, reserveQuote, amountIn);
+        if (!swap) return null;
+        
+        const toQuotePerBase = price => (buying ? 1 / price : price);
+        return {
+            amountIn,
+            amountOut: swap.amountOut,
+            fee: swap.fee,
+            tokenIn: buying ? quoteToken : baseToken,
+            tokenOut: buying ? baseToken : quoteToken,
+            price: toQuotePerBase(swap.price),
+            executionPrice: toQuotePerBase(swap.executionPrice),
+            priceAfter: toQuotePerBase(swap.priceAfter),
+            priceImpact: swap.priceImpact
+        };
+    }
+
+    renderSwapCalculator() {
+        const open = this.isSwapPanelOpen();
+        const quote = open ? this.getSwapQuote() : null;
+        this.updateSwapPriceLine(quote);
+        if (!open) return;
+        
+        this.swapResults.innerHTML = '';
+        
+        if (!this.currentPair) {
+            this.swapStatus.textContent = '';
+            return;
+        }
+        
+        const symbol = token => this.tokens.get(token)?.symbol || token;
+        const quoteToken = this.getQuoteToken();
+        const baseToken = quoteToken === this.currentPair.token0 ? this.currentPair.token1 : this.currentPair.token0;
+        const buyOption = this.swapSideSelect.options[0];
+        const sellOption = this.swapSideSelect.options[1];
+        buyOption.textContent = `Buy ${symbol(baseToken)}`;
+        sellOption.textContent = `Sell ${symbol(baseToken)}`;
+        this.swapAmountInput.placeholder = `Amount in ${symbol(this.swapInput.side === 'buy' ? quoteToken : baseToken)}`;
+        
+        if (this.currentPair.synthetic) {
+            this.swapStatus.textContent = 'Synthetic pairs have no pool of their own';
+            return;
+        }
+        
+        if (!this.pairReserves) {
+            this.swapStatus.textContent = 'Loading reserves...';
+            return;
+        }
+        
+        this.swapStatus.textContent = `${Number((XianDex.SWAP_FEE * 100).toPrecision(6))}% fee, prices in ${symbol(quoteToken)} per ${symbol(baseToken)}`;
+        if (!quote) return;
+        
+        const format = value => value.toLocaleString(undefined, { maximumFractionDigits: 6 });
+        const change = (quote.priceAfter / quote.price - 1) * 100;
+        const rows = [
+            ['You receive', `${format(quote.amountOut)} ${symbol(quote.tokenOut)}`],
+            ['Fee', `${format(quote.fee)} ${symbol(quote.tokenIn)}`],
+            ['Execution price', this.formatPrice(quote.executionPrice)],
+            ['Price impact', `${(quote.priceImpact * 100).toFixed(2)}%`],
+            ['Price after swap', `${this.formatPrice(quote.priceAfter)} (${change >= 0 ? '+' : ''}${change.toFixed(2)}%)`]
+        ];
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'swap-panel-row';
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            this.swapResults.appendChild(row);
+        });
+    }
+
+    // Dashed line at the pool price the calculated swap would leave behind.
+    // Lines belong to a series, a new price series drops the old one's.
+    updateSwapPriceLine(quote) {
+        if (this.swapPriceLine && this.swapPriceLineSeries === this.priceSeries) {
+            this.priceSeries.removePriceLine(this.swapPriceLine);
+        }
+        this.swapPriceLine = null;
+        this.swapPriceLineSeries = null;
+        
+        if (!quote || !this.priceSeries) return;
+        
+        let price = quote.priceAfter;
+        if (this.isUsdQuote()) {
+            price *= this.getUsdRate(Date.now() / 1000);
+        }
+        if (!isFinite(price)) return;
+        
+        const computedStyles = getComputedStyle(document.body);
+        const color = computedStyles.getPropertyValue(this.swapInput.side === 'buy' ? '--buy-color' : '--sell-color').trim();
+        this.swapPriceLine = this.priceSeries.createPriceLine({
+            price,
+            color,
+            lineWidth: 1,
+            lineStyle: 2,
+            axisLabelVisible: true,
+            title: 'After swap'
+        });
+        this.swapPriceLineSeries = this.priceSeries;
+    }
+
+    // Deep link to the DEX. With an amount in the swap calculator the link opens
+    // that swap, paying in the calculator's input token.
+    getTradeUrl() {
+        const quote = this.isSwapPanelOpen() ? this.getSwapQuote() : null;
+        if (quote) {
+            return `https://snakexchange.org/?token0=${quote.tokenIn}&token1=${quote.tokenOut}&amount=${quote.amountIn}`;
+        }
+        
+        const token0 = this.currentPair.token1;
+        const token1 = this.currentPair.token0;
+        return `https://snakexchange.org/?token0=${token0}&token1=${token1}`;
+    }
+
+    setTvlPaneVisible(visible) {
+        this.showTvlPane = visible;
+        localStorage.setItem('showTvlPane', String(visible));
+        
+        if (visible && this.reserveChanges.length === 0) {
+            this.loadReserveHistory();
+        }
+        this.updateTvlPane();
+    }
+
+    // Reserve changes of the current pair back to the first candle on the chart
+    async loadReserveHistory(maxPages = 5) {
+        if (!this.showTvlPane || !this.currentPair || this.currentPair.synthetic) return;
+        
+        const pair = this.currentPair;
+        const firstTime = this.aggregatedCandles.length > 0 ? this.aggregatedCandles[0].time * 1000 : null;
+        let changes = [];
+        let cursor = null;
+        
+        try {
+            for (let page = 0; page < maxPages; page++) {
+                const result = await this.client.fetchReserveChanges(pair.id, {
+                    after: cursor,
+                    signal: this.getPairRequestSignal()
+                });
+                changes = changes.concat(result.changes);
+                
+                // Pages are newest first
+                const oldest = changes[changes.length - 1];
+                if (!result.pageInfo.hasNextPage || (firstTime !== null && oldest && oldest.timestamp.getTime() <= firstTime)) {
+                    break;
+                }
+                cursor = result.pageInfo.endCursor;
+            }
+        } catch (err) {
+            if (err.kind !== 'aborted') {
+                console.error('Error loading reserve history:', err);
+            }
+            return;
+        }
+        
+        if (pair !== this.currentPair) return;
+        
+        console.log(`💧 Loaded ${changes.length} reserve changes for pair ${pair.id}`);
+        this.setReserveChanges(changes);
+    }
+
+    // Fold in the latest reserve changes, called from the live update loop
+    async refreshReserveHistory() {
+        if (!this.showTvlPane || !this.currentPair || this.reserveChanges.length === 0) return;
+        
+        const pair = this.currentPair;
+        try {
+            const { changes } = await this.client.fetchReserveChanges(pair.id, {
+                first: 100,
+                signal: this.getPairRequestSignal()
+            });
+            if (pair !== this.currentPair) return;
+            
+            this.setReserveChanges(this.reserveChanges.concat(changes));
+        } catch (err) {
+            if (err.kind !== 'aborted') {
+                console.error('Error refreshing reserve history:', err);
+            }
+        }
+    }
+
+    setReserveChanges(changes) {
+        const changesById = new Map(changes.map(change => [change.id, change]));
+        this.reserveChanges = Array.from(changesById.values());
+        this.reservePoints = XianDex.reserveHistory(this.reserveChanges);
+        this.updateTvlPane();
+    }
+
+    // Own pane after the existing ones: the base reserve on the left scale, the
+    // quote reserve and TVL (same unit) on the right
+    createTvlPane() {
+        const { LineSeries } = LightweightCharts;
+        const computedStyles = getComputedStyle(document.body);
+        const accentColor = computedStyles.getPropertyValue('--primary-accent').trim() || '#00ffff';
+        
+        const paneIndex = this.chart.panes().length;
+        const options = {
+            lineWidth: 1,
+            priceLineVisible: false,
+            priceFormat: {
+                type: 'volume',
+            },
+        };
+        
+        this.tvlSeries = {
+            base: this.chart.addSeries(LineSeries, { ...options, color: '#8bc34a', priceScaleId: 'left' }, paneIndex),
+            quote: this.chart.addSeries(LineSeries, { ...options, color: '#03a9f4', priceScaleId: 'right' }, paneIndex),
+            tvl: this.chart.addSeries(LineSeries, { ...options, color: accentColor, lineWidth: 2, priceScaleId: 'right' }, paneIndex)
+        };
+        this.tvlSeries.base.priceScale().applyOptions({ visible: true });
+        this.chart.panes()[paneIndex].setHeight(120);
+    }
+
+    removeTvlPane() {
+        if (!this.tvlSeries) return;
+        
+        const pane = this.tvlSeries.tvl.getPane();
+        Object.values(this.tvlSeries).forEach(series => this.chart.removeSeries(series));
+        this.tvlSeries = null;
+        
+        if (this.chart.panes().includes(pane) && pane.getSeries().length === 0) {
+            this.chart.removePane(pane.paneIndex());
+        }
+    }
+
+    // Reserves as they stood at each bar's close. TVL is twice the quote reserve,
+    // as both sides of a constant-product pool are worth the same, and follows the
+    // chart into USD.
+    updateTvlPane() {
+        if (!this.chart) return;
+        
+        const visible = this.showTvlPane && this.currentPair && !this.currentPair.synthetic &&
+            this.reservePoints.length > 0 && this.currentCandles.length > 0;
+        if (!visible) {
+            this.removeTvlPane();
+            return;
+        }
+        
+        if (!this.tvlSeries) {
+            this.createTvlPane();
+        }
+        
+        const baseKey = this.isInverted ? 'reserve1' : 'reserve0';
+        const quoteKey = this.isInverted ? 'reserve0' : 'reserve1';
+        const baseHistory = this.reservePoints.map(point => ({ time: point.time, value: point[baseKey] }));
+        const quoteHistory = this.reservePoints.map(point => ({ time: point.time, value: point[quoteKey] }));
+        const firstTime = this.reservePoints[0].time;
+        
+        const base = [];
+        const quote = [];
+        const tvl = [];
+        const candles = this.currentCandles;
+        candles.forEach((candle, i) => {
+            const next = candles[i + 1];
+            const time = next ? next.time - 0.001 : Infinity;
+            if (time < firstTime) return;
+            
+            const quoteReserve = XianDex.priceAt(quoteHistory, time);
+            const rate = this.isUsdQuote() ? this.getUsdRate(time) : 1;
+            base.push({ time: candle.time, value: XianDex.priceAt(baseHistory, time) });
+            quote.push({ time: candle.time, value: quoteReserve });
+            tvl.push({ time: candle.time, value: 2 * quoteReserve * rate });
+        });
+        
+        const baseToken = this.isInverted ? this.currentPair.token1 : this.currentPair.token0;
+        const quoteToken = this.getQuoteToken();
+        this.tvlSeries.base.applyOptions({ title: this.tokens.get(baseToken)?.symbol || baseToken });
+        this.tvlSeries.quote.applyOptions({ title: this.tokens.get(quoteToken)?.symbol || quoteToken });
+        this.tvlSeries.tvl.applyOptions({ title: `TVL (${this.getQuoteSymbol()})` });
+        
+        this.tvlSeries.base.setData(base);
+        this.tvlSeries.quote.setData(quote);
+        this.tvlSeries.tvl.setData(tvl);
+    }
+
+    // Drawings are kept per pair and network
+    getDrawingsKey() {
+        return `chartDrawings:${this.getTradeCacheKey()}`;
+    }
+
+    loadDrawings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getDrawingsKey())) || [];
+        } catch (err) {
+            console.error('Error reading saved drawings:', err);
+            return [];
+        }
+    }
+
+    saveDrawings(drawings) {
+        if (!this.currentPair) return;
+        
+        if (drawings.length > 0) {
+            localStorage.setItem(this.getDrawingsKey(), JSON.stringify(drawings));
+        } else {
+            localStorage.removeItem(this.getDrawingsKey());
+        }
+    }
+
+    loadIndicatorConfigs() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('chartIndicators')) || [];
+            return saved.filter(config => XianIndicators.getIndicatorType(config.type));
+        } catch (err) {
+            console.error('Error reading saved indicators:', err);
+            return [];
+        }
+    }
+
+    saveIndicatorConfigs() {
+        localStorage.setItem('chartIndicators', JSON.stringify(this.indicatorConfigs));
+    }
+
+    addIndicator(type) {
+        const definition = XianIndicators.getIndicatorType(type);
+        if (!definition) return;
+        
+        const palette = ['#ffb300', '#ff4081', '#00e676', '#2979ff', '#e040fb', '#ff6d00'];
+        this.indicatorConfigs.push({
+            id: `${type}-${Date.now()}`,
+            type,
+            color: palette[this.indicatorConfigs.length % palette.length],
+            ...definition.params
+        });
+        
+        this.saveIndicatorConfigs();
+        this.updateIndicators();
+        this.renderIndicatorPanel();
+    }
+
+    updateIndicator(id, changes) {
+        const config = this.indicatorConfigs.find(c => c.id === id);
+        if (!config) return;
+        
+        Object.assign(config, changes);
+        
+        // Colors are series options, everything else changes the values
+        const entry = this.indicatorSeries.get(id);
+        if (entry && changes.color) {
+            Object.entries(entry.lines).forEach(([lineName, series]) => {
+                if (lineName !== 'histogram') {
+                    series.applyOptions({ color: this.getIndicatorLineColor(config, lineName) });
+                }
+            });
+        }
+        
+        this.saveIndicatorConfigs();
+        this.updateIndicators();
+    }
+
+    removeIndicator(id) {
+        this.indicatorConfigs = this.indicatorConfigs.filter(c => c.id !== id);
+        this.saveIndicatorConfigs();
+        this.updateIndicators();
+        this.renderIndicatorPanel();
+    }
+
+    // Signal and %D lines are drawn as a fainter shade of the indicator color
+    getIndicatorLineColor(config, lineName) {
+        return lineName === 'signal' || lineName === 'd' ? `${config.color}99` : config.color;
+    }
+
+    // Short label such as "RSI 14" or "MACD 12,26,9", reference levels left out
+    getIndicatorLabel(config) {
+        const definition = XianIndicators.getIndicatorType(config.type);
+        const levels = definition.levels || [];
+        const values = Object.keys(definition.params)
+            .filter(key => !levels.includes(key))
+            .map(key => config[key]);
+        return `${definition.name} ${values.join(',')}`;
+    }
+
+    // Create series for new indicators and drop the ones that were removed.
+    // Overlays go on the price pane, every oscillator gets a new pane at the bottom.
+    syncIndicatorSeries() {
+        if (!this.chart) return;
+        
+        const { LineSeries, HistogramSeries } = LightweightCharts;
+        const activeIds = new Set(this.indicatorConfigs.map(config => config.id));
+        
+        this.indicatorSeries.forEach((entry, id) => {
+            if (activeIds.has(id)) return;
+            
+            const pane = entry.paneIndex > 0 ? Object.values(entry.lines)[0].getPane() : null;
+            Object.values(entry.lines).forEach(series => this.chart.removeSeries(series));
+            this.indicatorSeries.delete(id);
+            
+            // Drop the oscillator's pane once it is empty
+            if (pane && this.chart.panes().includes(pane) && pane.getSeries().length === 0) {
+                this.chart.removePane(pane.paneIndex());
+            }
+        });
+        
+        this.indicatorConfigs.forEach(config => {
+            if (this.indicatorSeries.has(config.id)) return;
+            
+            const oscillator = XianIndicators.isOscillator(config.type);
+            const paneIndex = oscillator ? this.chart.panes().length : 0;
+            
+            const lines = {};
+            XianIndicators.getIndicatorType(config.type).lines.forEach(lineName => {
+                const commonOptions = {
+                    priceScaleId: 'right',
+                    priceLineVisible: false,
+                    lastValueVisible: false,
+                    priceFormat: oscillator
+                        ? { type: 'price', precision: 2, minMove: 0.01 }
+                        : { type: 'price', precision: 8, minMove: 0.00000001 },
+                };
+                
+                if (lineName === 'histogram') {
+                    lines[lineName] = this.chart.addSeries(HistogramSeries, {
+                        ...commonOptions,
+                        priceFormat: { type: 'price', precision: 8, minMove: 0.00000001 },
+                        base: 0,
+                    }, paneIndex);
+                    return;
+                }
+                
+                lines[lineName] = this.chart.addSeries(LineSeries, {
+                    ...commonOptions,
+                    color: this.getIndicatorLineColor(config, lineName),
+                    lineWidth: ['value', 'macd', 'k'].includes(lineName) ? 2 : 1,
+                    lineStyle: lineName === 'middle' ? 2 : 0, // Dashed Bollinger basis
+                    crosshairMarkerVisible: oscillator,
+                }, paneIndex);
+            });
+            
+            // Reference lines such as RSI 70/30, attached to the oscillator's first line
+            const priceLines = [];
+            if (oscillator) {
+                const referenceSeries = Object.values(lines)[0];
+                XianIndicators.getIndicatorLevels(config).forEach(level => {
+                    priceLines.push(referenceSeries.createPriceLine({
+                        price: level,
+                        color: '#80808080',
+                        lineWidth: 1,
+                        lineStyle: 2,
+                        axisLabelVisible: true,
+                        title: '',
+                    }));
+                });
+                
+                this.chart.panes()[paneIndex].setHeight(120);
+            }
+            
+            this.indicatorSeries.set(config.id, { lines, priceLines, paneIndex });
+        });
+    }
+
+    // Recompute every indicator from the candles on the chart
+    updateIndicators() {
+        this.syncIndicatorSeries();
+        
+        const volumeColors = this.getVolumeColors();
+        
+        this.indicatorConfigs.forEach(config => {
+            const entry = this.indicatorSeries.get(config.id);
+            if (!entry) return;
+            
+            try {
+                const values = XianIndicators.computeIndicator(config, this.currentCandles, this.currentVolumes);
+                Object.entries(entry.lines).forEach(([lineName, series]) => {
+                    let data = values[lineName] || [];
+                    
+                    // Color MACD histogram bars by sign like the volume bars
+                    if (lineName === 'histogram') {
+                        data = data.map(point => ({
+                            ...point,
+                            color: point.value >= 0 ? volumeColors.up : volumeColors.down
+                        }));
+                    }
+                    
+                    series.setData(data);
+                });
+                
+                XianIndicators.getIndicatorLevels(config).forEach((level, index) => {
+                    if (entry.priceLines[index]) {
+                        entry.priceLines[index].applyOptions({ price: level });
+                    }
+                });
+            } catch (err) {
+                console.error(`Error computing indicator ${config.type}:`, err);
+            }
+        });
+    }
+
+    // Oscillator readouts for the crosshair tooltip, one line per oscillator
+    getIndicatorTooltipRows(param) {
+        const rows = [];
+        
+        this.indicatorConfigs.forEach(config => {
+            const entry = this.indicatorSeries.get(config.id);
+            if (!entry || !XianIndicators.isOscillator(config.type)) return;
+            
+            const values = Object.values(entry.lines)
+                .map(series => param.seriesData.get(series))
+                .filter(point => point && point.value !== undefined)
+                .map(point => Math.abs(point.value) < 1 && point.value !== 0
+                    ? point.value.toPrecision(4)
+                    : point.value.toFixed(2));
+            
+            if (values.length > 0) {
+                rows.push(`<span style="color: ${config.color}">${this.getIndicatorLabel(config)}: ${values.join(' / ')}</span>`);
+            }
+        });
+        
+        return rows;
+    }
+
+    createIndicatorPanel(button) {
+        this.indicatorPanel = document.createElement('div');
+        this.indicatorPanel.className = 'indicator-panel';
+        this.indicatorPanel.style.position = 'fixed';
+        this.indicatorPanel.style.display = 'none';
+        this.indicatorPanel.style.zIndex = '1000';
+        this.indicatorPanel.style.minWidth = '260px';
+        this.indicatorPanel.style.padding = '10px';
+        this.indicatorPanel.style.backgroundColor = 'var(--modal-background)';
+        this.indicatorPanel.style.border = '1px solid var(--modal-border-color)';
+        this.indicatorPanel.style.borderRadius = '4px';
+        this.indicatorPanel.style.boxShadow = '0 2px 5px rgba(0, 0, 0, 0.3)';
+        this.indicatorPanel.style.color = 'var(--text-color)';
+        this.indicatorPanel.style.fontSize = '12px';
+        document.body.appendChild(this.indicatorPanel);
+        
+        button.addEventListener('click', event => {
+            event.stopPropagation();
+            
+            if (this.indicatorPanel.style.display === 'none') {
+                const rect = button.getBoundingClientRect();
+                this.indicatorPanel.style.top = `${rect.bottom + 6}px`;
+                this.indicatorPanel.style.left = `${rect.left}px`;
+                this.renderIndicatorPanel();
+                this.indicatorPanel.style.display = 'block';
+            } else {
+                this.indicatorPanel.style.display = 'none';
+            }
+        });
+        
+        // Close when clicking anywhere else
+        this.indicatorPanel.addEventListener('click', event => event.stopPropagation());
+        document.addEventListener('click', () => {
+            this.indicatorPanel.style.display = 'none';
+        });
+    }
+
+    renderIndicatorPanel() {
+        if (!this.indicatorPanel) return;
+        
+        this.indicatorPanel.innerHTML = '';
+        
+        const paramLabels = {
+            period: 'Period',
+            stdDev: 'StdDev',
+            fast: 'Fast',
+            slow: 'Slow',
+            signal: 'Signal',
+            kPeriod: '%K',
+            smooth: 'Smooth',
+            dPeriod: '%D',
+            overbought: 'Upper',
+            oversold: 'Lower'
+        };
+        
+        const createNumberInput = (value, min, step, onChange) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = value;
+            input.min = min;
+            input.step = step;
+            input.style.width = '48px';
+            input.style.padding = '2px 4px';
+            input.style.backgroundColor = 'var(--input-background)';
+            input.style.color = 'var(--input-text-color)';
+            input.style.border = '1px solid var(--input-border-color)';
+            input.style.borderRadius = '4px';
+            input.addEventListener('change', () => {
+                const parsed = parseFloat(input.value);
+                if (!isNaN(parsed) && parsed >= min) {
+                    onChange(parsed);
+                } else {
+                    input.value = value;
+                }
+            });
+            return input;
+        };
+        
+        if (this.indicatorConfigs.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No indicators added';
+            empty.style.opacity = '0.7';
+            empty.style.marginBottom = '8px';
+            this.indicatorPanel.appendChild(empty);
+        }
+        
+        this.indicatorConfigs.forEach(config => {
+            const definition = XianIndicators.getIndicatorType(config.type);
+            const levels = definition.levels || [];
+            
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.gap = '6px';
+            row.style.marginTop = '4px';
+            
+            const name = document.createElement('span');
+            name.textContent = definition.name;
+            name.style.flex = '1';
+            row.appendChild(name);
+            
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = config.color;
+            color.style.width = '28px';
+            color.style.height = '22px';
+            color.style.padding = '0';
+            color.style.border = 'none';
+            color.style.background = 'transparent';
+            color.addEventListener('input', () => this.updateIndicator(config.id, { color: color.value }));
+            row.appendChild(color);
+            
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove indicator';
+            removeButton.style.background = 'transparent';
+            removeButton.style.border = 'none';
+            removeButton.style.color = 'var(--modal-close-color)';
+            removeButton.style.cursor = 'pointer';
+            removeButton.style.fontSize = '16px';
+            removeButton.addEventListener('click', () => this.removeIndicator(config.id));
+            row.appendChild(removeButton);
+            
+            this.indicatorPanel.appendChild(row);
+            
+            // One labelled input per parameter, periods are whole bars
+            const params = document.createElement('div');
+            params.style.display = 'flex';
+            params.style.flexWrap = 'wrap';
+            params.style.gap = '6px';
+            params.style.marginBottom = '8px';
+            
+            Object.entries(definition.params).forEach(([key, defaultValue]) => {
+                const isLevel = levels.includes(key);
+                const isInteger = Number.isInteger(defaultValue);
+                const min = isLevel ? 0 : (isInteger ? 1 : 0.1);
+                
+                const label = document.createElement('label');
+                label.style.display = 'flex';
+                label.style.alignItems = 'center';
+                label.style.gap = '3px';
+                label.style.opacity = '0.85';
+                label.textContent = paramLabels[key] || key;
+                
+                label.appendChild(createNumberInput(config[key], min, isInteger ? 1 : 0.1, value => {
+                    this.updateIndicator(config.id, { [key]: isInteger ? Math.floor(value) : value });
+                }));
+                params.appendChild(label);
+            });
+            
+            this.indicatorPanel.appendChild(params);
+        });
+        
+        const addSelect = document.createElement('select');
+        addSelect.style.width = '100%';
+        addSelect.style.padding = '4px 8px';
+        addSelect.style.borderRadius = '4px';
+        addSelect.style.border = '1px solid var(--input-border-color)';
+        addSelect.style.backgroundColor = 'var(--input-background)';
+        addSelect.style.color = 'var(--input-text-color)';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Add indicator...';
+        addSelect.appendChild(placeholder);
+        
+        [
+            { label: 'Overlays', types: XianIndicators.OVERLAY_TYPES },
+            { label: 'Oscillators', types: XianIndicators.OSCILLATOR_TYPES }
+        ].forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            
+            Object.entries(group.types).forEach(([type, definition]) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = definition.name;
+                optgroup.appendChild(option);
+            });
+            
+            addSelect.appendChild(optgroup);
+        });
+        
+        addSelect.addEventListener('change', () => {
+            if (addSelect.value) {
+                this.addIndicator(addSelect.value);
+            }
+        });
+        
+        this.indicatorPanel.appendChild(addSelect);
+    }
+
+    // Add a timeframe to the list (sorted by length) unless it's already there.
+    // Returns the listed timeframe with the same label.
+    addTimeframe(timeframe) {
+        const existing = this.timeframes.find(tf => tf.label === timeframe.label);
+        if (existing) return existing;
+        
+        this.timeframes.push(timeframe);
+        this.timeframes.sort((a, b) => a.minutes - b.minutes);
+        
+        if (this.timeframeSelect) {
+            this.renderTimeframeOptions();
+        }
+        return timeframe;
+    }
+
+    renderTimeframeOptions() {
+        this.timeframeSelect.innerHTML = '';
+        
+        this.timeframes.forEach(tf => {
+            const option = document.createElement('option');
+            option.value = tf.label;
+            option.textContent = tf.label;
+            this.timeframeSelect.appendChild(option);
+        });
+        
+        const customOption = document.createElement('option');
+        customOption.value = 'custom';
+        customOption.textContent = 'Custom...';
+        this.timeframeSelect.appendChild(customOption);
+        
+        if (this.currentTimeframe) {
+            this.timeframeSelect.value = this.currentTimeframe.label;
+        }
+    }
+
+    // Ask for a timeframe such as 2h, 3d, 1w or 3M and remember it
+    promptCustomTimeframe() {
+        const input = window.prompt('Timeframe (e.g. 90m, 2h, 3d, 1w; 1W and 1M for calendar weeks and months):');
+        if (input === null) return null;
+        
+        const timeframe = XianDex.parseTimeframe(input);
+        if (!timeframe) {
+            window.alert(`"${input}" is not a valid timeframe.`);
+            return null;
+        }
+        
+        // Built-in timeframes don't need to be remembered
+        if (!this.timeframes.some(tf => tf.label === timeframe.label)) {
+            const custom = this.loadCustomTimeframes().map(tf => tf.label);
+            localStorage.setItem('customTimeframes', JSON.stringify([...custom, timeframe.label]));
+        }
+        return this.addTimeframe(timeframe);
+    }
+
+    loadCustomTimeframes() {
         try {
-            const indexed = typeof dataIndexed === 'string' ? JSON.parse(dataIndexed) : dataIndexed;
-            const swapData = typeof data === 'string' ? JSON.parse(data) : data;
-
-            // Get raw amounts
-            const amount0In = parseFloat(swapData.amount0In) || 0;
-            const amount0Out = parseFloat(swapData.amount0Out) || 0;
-            const amount1In = parseFloat(swapData.amount1In) || 0;
-            const amount1Out = parseFloat(swapData.amount1Out) || 0;
-
-            let price = null;
-            
-            // For token1/token0 price:
-            if (amount0Out > 0 && amount1In > 0) {
-                // Buying token0 with token1
-                price = amount1In / amount0Out;
-            } else if (amount0In > 0 && amount1Out > 0) {
-                // Selling token0 for token1
-                price = amount1Out / amount0In;
-            }
-            
-            // If price calculation succeeded and we want the inverted pair
-            if (price !== null && this.isInverted) {
-                // Invert the price (tokenB/tokenA instead of tokenA/tokenB)
-                return 1 / price;
-            }
-            
-            return price;
-        } catch (error) {
-            console.error('Error calculating price:', error);
-            return null;
+            const saved = JSON.parse(localStorage.getItem('customTimeframes')) || [];
+            return saved.map(label => XianDex.parseTimeframe(label)).filter(Boolean);
+        } catch (err) {
+            console.error('Error reading custom timeframes:', err);
+            return [];
         }
     }
 
+    calculatePrice(dataIndexed, data) {
+        return XianDex.calculatePrice(dataIndexed, data, this.isInverted);
+    }
+
     getQueryParams() {
         const params = new URLSearchParams(window.location.search);
         return {
             pair: params.get('pair'),
             timeframe: params.get('tf'),
-            inverted: params.get('inverted') === 'true'
+            inverted: params.get('inverted') === 'true',
+            chartType: params.get('type'),
+            boxSize: params.get('box'),
+            quote: params.get('quote'),
+            network: params.get('network'),
+            endpoint: params.get('endpoint')
         };
     }
 
@@ -1729,8 +4222,23 @@ class ChartController {
         if (this.currentPair) {
             params.set('pair', this.currentPair.id);
         }
-        params.set('tf', this.currentTimeframe.minutes.toString());
+        // Fixed timeframes keep the minutes format, calendar ones use their label
+        params.set('tf', this.currentTimeframe.calendar ? this.currentTimeframe.label : this.currentTimeframe.minutes.toString());
         params.set('inverted', this.isInverted.toString());
+        params.set('type', this.chartType);
+        if (this.chartType === 'renko' && this.renkoBoxSize) {
+            params.set('box', this.renkoBoxSize.toString());
+        }
+        if (this.quoteCurrency === 'usd') {
+            params.set('quote', 'usd');
+        }
+        
+        // Mainnet is the default and stays out of the URL
+        if (this.network.id === 'custom') {
+            params.set('endpoint', this.network.graphqlUrl);
+        } else if (this.network.id !== 'mainnet') {
+            params.set('network', this.network.id);
+        }
         
         // Update URL without reloading the page
         const newUrl = `${window.location.pathname}?${params.toString()}`;
@@ -1745,8 +4253,121 @@ class ChartController {
         
         // Update timeframe selector
         if (this.currentTimeframe && this.timeframeSelect) {
-            this.timeframeSelect.value = this.currentTimeframe.minutes.toString();
+            this.timeframeSelect.value = this.currentTimeframe.label;
+        }
+        
+        if (this.chartTypeSelect) {
+            this.chartTypeSelect.value = this.chartType;
+            this.renkoBoxInput.value = this.renkoBoxSize || '';
+            this.renkoBoxInput.style.display = this.chartType === 'renko' ? '' : 'none';
+        }
+        
+        if (this.quoteSelect) {
+            this.quoteSelect.value = this.quoteCurrency;
+        }
+    }
+
+    // TradingView-style readout of the hovered bar, laid out by the .ohlc-legend
+    // rules in index.html. Shows the latest bar while the crosshair is off the chart.
+    createOhlcLegend() {
+        this.ohlcLegend = document.createElement('div');
+        this.ohlcLegend.className = 'ohlc-legend';
+        this.chartContainer.appendChild(this.ohlcLegend);
+        
+        this.legendTime = null; // Time of the hovered bar, null for the latest
+        
+        this.chart.subscribeCrosshairMove(param => {
+            const time = param && param.point && param.time !== undefined ? param.time : null;
+            if (time !== this.legendTime) {
+                this.legendTime = time;
+                this.updateOhlcLegend();
+            }
+        });
+    }
+
+    // Index of the bar at `time` in currentCandles, -1 when there is none
+    findCandleIndex(time) {
+        const candles = this.currentCandles;
+        let low = 0;
+        let high = candles.length - 1;
+        
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (candles[mid].time === time) return mid;
+            if (candles[mid].time < time) {
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return -1;
+    }
+
+    formatPrice(price) {
+        return Math.abs(price) >= 1 ? price.toFixed(4) : price.toPrecision(4);
+    }
+
+    updateOhlcLegend() {
+        if (!this.ohlcLegend) return;
+        
+        let index = this.legendTime !== null
+            ? this.findCandleIndex(this.legendTime)
+            : this.currentCandles.length - 1;
+        
+        // Blank gaps have no prices, show the candle before them
+        while (index > 0 && XianDex.isWhitespace(this.currentCandles[index])) {
+            index--;
+        }
+        const candle = this.currentCandles[index];
+        
+        if (!candle || !this.currentPair) {
+            this.ohlcLegend.style.display = 'none';
+            return;
+        }
+        
+        // Change from the previous close, like the exchange tickers
+        let previousIndex = index - 1;
+        while (previousIndex >= 0 && XianDex.isWhitespace(this.currentCandles[previousIndex])) {
+            previousIndex--;
         }
+        const previous = this.currentCandles[previousIndex];
+        const reference = previous ? previous.close : candle.open;
+        const change = candle.close - reference;
+        const changePercent = reference ? change / reference * 100 : 0;
+        const color = change >= 0 ? 'var(--buy-color)' : 'var(--sell-color)';
+        const sign = change >= 0 ? '+' : '';
+        
+        const symbol0 = this.tokens.get(this.currentPair.token0)?.symbol || this.currentPair.token0;
+        const symbol1 = this.tokens.get(this.currentPair.token1)?.symbol || this.currentPair.token1;
+        
+        // Token symbols come from on-chain metadata, so the legend is built from text nodes
+        this.ohlcLegend.innerHTML = '';
+        const addField = (label, value, valueColor) => {
+            const item = document.createElement('span');
+            if (label) {
+                const labelSpan = document.createElement('span');
+                labelSpan.className = 'ohlc-legend-label';
+                labelSpan.textContent = `${label} `;
+                item.appendChild(labelSpan);
+            }
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            if (valueColor) {
+                valueSpan.style.color = valueColor;
+            }
+            item.appendChild(valueSpan);
+            this.ohlcLegend.appendChild(item);
+        };
+        
+        addField('O', this.formatPrice(candle.open), color);
+        addField('H', this.formatPrice(candle.high), color);
+        addField('L', this.formatPrice(candle.low), color);
+        addField('C', this.formatPrice(candle.close), color);
+        addField('', `${sign}${this.formatPrice(change)} (${sign}${changePercent.toFixed(2)}%)`, color);
+        addField('Range', this.formatPrice(candle.high - candle.low));
+        addField('Vol', `${this.formatVolume(candle.volume0 || 0)} ${symbol0} / ${this.formatVolume(candle.volume1 || 0)} ${symbol1}`);
+        addField('Trades', String(candle.tradeCount || 0));
+        this.ohlcLegend.style.display = 'flex';
     }
 
     createVolumeTooltip() {
@@ -1791,14 +4412,17 @@ class ChartController {
                 });
                 
                 // Get the corresponding candle data
-                const candleData = param.seriesData.get(this.candlestickSeries);
+                const candleData = param.seriesData.get(this.priceSeries);
                 const color = candleData && candleData.close >= candleData.open ? 
                     'var(--buy-color)' : 'var(--sell-color)';
                 
                 const x = param.point.x;
                 const y = param.point.y;
                 
-                this.volumeTooltip.innerHTML = `<span style="color: ${color}">Volume: ${formattedVolume}</span>`;
+                const unit = this.isUsdQuote() ? ' USD' : '';
+                const rows = [`<span style="color: ${color}">Volume: ${formattedVolume}${unit}</span>`]
+                    .concat(this.getIndicatorTooltipRows(param));
+                this.volumeTooltip.innerHTML = rows.join('<br>');
                 this.volumeTooltip.style.left = x + 15 + 'px';
                 this.volumeTooltip.style.top = y + 'px';
                 this.volumeTooltip.style.display = 'block';
@@ -1886,21 +4510,12 @@ class ChartController {
                 }
             });
 
-            if (this.candlestickSeries) {
-                const buyColor = computedStyles.getPropertyValue('--buy-color').trim();
-                const sellColor = computedStyles.getPropertyValue('--sell-color').trim();
-                this.candlestickSeries.applyOptions({
-                    upColor: buyColor,
-                    downColor: sellColor,
-                    wickUpColor: buyColor,
-                    wickDownColor: sellColor,
-                    borderUpColor: buyColor,
-                    borderDownColor: sellColor,
-                });
+            if (this.priceSeries) {
+                this.priceSeries.applyOptions(this.getPriceSeriesOptions());
             }
 
-            if (this.currentPair) { // Ensure a pair is selected before reloading data
-                this.loadChartData();
+            if (this.currentPair) { // Re-aggregate so volume bars pick up the new theme colors
+                this.refreshCandles({});
             }
         }
     }
@@ -1917,8 +4532,8 @@ class ChartController {
     async applyCurrentThemeToChart() {
         // This method will apply the active theme's colors to chart elements.
         // It's called after the chart is initialized and initial data is loaded.
-        if (!this.chart || !this.candlestickSeries || !this.activeThemeClassName) {
-            console.warn("Chart, candlestickSeries, or activeThemeClassName not ready for applyCurrentThemeToChart. Active theme: ", this.activeThemeClassName);
+        if (!this.chart || !this.priceSeries || !this.activeThemeClassName) {
+            console.warn("Chart, priceSeries, or activeThemeClassName not ready for applyCurrentThemeToChart. Active theme: ", this.activeThemeClassName);
             return;
         }
         console.log("applyCurrentThemeToChart: Applying styling for theme - ", this.activeThemeClassName);
@@ -1951,23 +4566,302 @@ class ChartController {
             }
         });
 
-        // this.candlestickSeries is already checked by the guard clause
-        const buyColor = computedStyles.getPropertyValue('--buy-color').trim();
-        const sellColor = computedStyles.getPropertyValue('--sell-color').trim();
-        this.candlestickSeries.applyOptions({
-            upColor: buyColor,
-            downColor: sellColor,
-            wickUpColor: buyColor,
-            wickDownColor: sellColor,
-            borderUpColor: buyColor,
-            borderDownColor: sellColor,
-        });
+        // this.priceSeries is already checked by the guard clause
+        this.priceSeries.applyOptions(this.getPriceSeriesOptions());
 
-        // Note: Volume bar colors are handled in processSwapEvents by reading computed styles directly.
+        // Note: Volume bar colors are passed to the candle aggregation via getCandleOptions.
         // No need to call loadChartData() here as this method is for styling existing chart structure.
         console.log("applyCurrentThemeToChart: Chart styles updated for theme - ", this.activeThemeClassName);
     }
 
+    // Data client for a network profile, reporting its connection state to the status dot
+    createClient(network) {
+        return new XianDex.XianDexClient({
+            network,
+            onStatusChange: status => this.updateConnectionStatus(status)
+        });
+    }
+    
+    // Network failures, timeouts and server errors, as opposed to bad data or a pair without trades
+    isConnectionError(err) {
+        return err instanceof XianDex.XianDexError && ['network', 'timeout', 'http'].includes(err.kind);
+    }
+    
+    initConnectionStatus() {
+        this.connectionStatus = document.getElementById('connection-status');
+        if (!this.connectionStatus) {
+            console.error('Connection status element #connection-status not found.');
+            return;
+        }
+        
+        this.connectionStatusLabel = this.connectionStatus.querySelector('.connection-status-label');
+        this.updateConnectionStatus({ state: navigator.onLine === false ? 'offline' : 'online' });
+        
+        this.connectionStatus.addEventListener('click', () => this.retryConnection());
+        
+        window.addEventListener('offline', () => this.updateConnectionStatus({ state: 'offline' }));
+        window.addEventListener('online', () => this.retryConnection());
+    }
+    
+    updateConnectionStatus({ state, attempt, error } = {}) {
+        if (!this.connectionStatus) return;
+        
+        this.connectionStatus.classList.remove('online', 'retrying', 'offline');
+        this.connectionStatus.classList.add(state);
+        
+        let label = '';
+        let title = `Connected to ${this.network.name}`;
+        if (state === 'retrying') {
+            label = `Reconnecting (${attempt})...`;
+            title = `Retrying ${this.network.name}: ${error?.message || 'request failed'}`;
+        } else if (state === 'offline') {
+            label = 'Offline';
+            title = `${this.network.name} unreachable${error ? `: ${error.message}` : ''}. Click to retry.`;
+        }
+        
+        if (this.connectionStatusLabel) {
+            this.connectionStatusLabel.textContent = label;
+        }
+        this.connectionStatus.title = title;
+    }
+    
+    // Reload whatever failed while the node was unreachable
+    retryConnection() {
+        if (this.pairsLoadFailed) {
+            console.log('🔌 Retrying pair list...');
+            this.pairsLoadFailed = false;
+            if (this.chart) {
+                this.switchNetwork(this.network);
+            } else {
+                this.loadPairsAndInitialize();
+            }
+        } else if (this.chartLoadFailed && this.currentPair && this.chart) {
+            console.log('🔌 Retrying chart data...');
+            this.loadChartData();
+        }
+    }
+    
+    // Pick the network from the URL, then the saved selection, then mainnet
+    resolveNetwork() {
+        const params = this.getQueryParams();
+        const customNetwork = this.loadCustomNetwork();
+        
+        if (params.endpoint) {
+            if (this.isValidEndpointUrl(params.endpoint)) {
+                return { ...customNetwork, graphqlUrl: params.endpoint };
+            }
+            console.error(`Ignoring invalid endpoint URL parameter: ${params.endpoint}`);
+        }
+        
+        const networkId = params.network || localStorage.getItem('selectedNetwork');
+        if (networkId === 'custom' && customNetwork.graphqlUrl) {
+            return customNetwork;
+        }
+        
+        return XianDex.NETWORKS[networkId] || XianDex.NETWORKS.mainnet;
+    }
+    
+    loadCustomNetwork() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('customNetwork')) || {};
+        } catch (err) {
+            console.error('Error reading saved custom network:', err);
+        }
+        
+        // Stored values are validated again, localStorage can be edited by hand
+        return {
+            id: 'custom',
+            name: 'Custom',
+            graphqlUrl: this.isValidEndpointUrl(saved.graphqlUrl) ? saved.graphqlUrl : '',
+            explorerUrl: this.isValidEndpointUrl(saved.explorerUrl) ? saved.explorerUrl : '',
+            pairsContract: XianDex.isValidContractName(saved.pairsContract) ? saved.pairsContract : 'con_pairs',
+            volumeApiUrl: null
+        };
+    }
+    
+    isValidEndpointUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+        } catch (err) {
+            return false;
+        }
+    }
+    
+    populateNetworkSelector() {
+        this.networkSelect = document.getElementById('network-select');
+        if (!this.networkSelect) {
+            console.error('Network select element #network-select not found.');
+            return;
+        }
+        
+        this.networkSelect.innerHTML = '';
+        
+        const networks = [...Object.values(XianDex.NETWORKS), { id: 'custom', name: 'Custom' }];
+        networks.forEach(network => {
+            const option = document.createElement('option');
+            option.value = network.id;
+            option.textContent = network.name;
+            this.networkSelect.appendChild(option);
+        });
+        
+        this.updateNetworkSelectorFromState();
+    }
+    
+    initNetworkSelector() {
+        if (!this.networkSelect) return;
+        
+        const applyButton = document.getElementById('network-apply');
+        
+        this.networkSelect.addEventListener('change', (event) => {
+            const networkId = event.target.value;
+            
+            if (networkId === 'custom') {
+                // Custom endpoints are applied with the Connect button
+                this.toggleCustomNetworkFields(true);
+                return;
+            }
+            
+            this.toggleCustomNetworkFields(false);
+            localStorage.setItem('selectedNetwork', networkId);
+            this.switchNetwork(XianDex.NETWORKS[networkId]);
+        });
+        
+        if (applyButton) {
+            applyButton.addEventListener('click', () => {
+                const graphqlUrl = document.getElementById('network-graphql-url').value.trim();
+                const explorerUrl = document.getElementById('network-explorer-url').value.trim().replace(/\/+$/, '');
+                const pairsContract = document.getElementById('network-pairs-contract').value.trim();
+                
+                // Flag invalid values on the inputs themselves instead of connecting
+                const fields = [
+                    { id: 'network-graphql-url', valid: this.isValidEndpointUrl(graphqlUrl) },
+                    { id: 'network-explorer-url', valid: !explorerUrl || this.isValidEndpointUrl(explorerUrl) },
+                    { id: 'network-pairs-contract', valid: XianDex.isValidContractName(pairsContract) }
+                ];
+                fields.forEach(field => {
+                    document.getElementById(field.id).style.borderColor = field.valid ? '' : 'var(--error-text-color)';
+                });
+                if (fields.some(field => !field.valid)) {
+                    return;
+                }
+                
+                localStorage.setItem('customNetwork', JSON.stringify({ graphqlUrl, explorerUrl, pairsContract }));
+                localStorage.setItem('selectedNetwork', 'custom');
+                this.switchNetwork(this.loadCustomNetwork());
+            });
+        }
+    }
+    
+    updateNetworkSelectorFromState() {
+        if (!this.networkSelect) return;
+        
+        this.networkSelect.value = this.network.id;
+        
+        // Pre-fill the custom fields with the active custom profile or the last saved one
+        const customNetwork = this.network.id === 'custom' ? this.network : this.loadCustomNetwork();
+        const graphqlInput = document.getElementById('network-graphql-url');
+        const explorerInput = document.getElementById('network-explorer-url');
+        const contractInput = document.getElementById('network-pairs-contract');
+        if (graphqlInput) graphqlInput.value = customNetwork.graphqlUrl;
+        if (explorerInput) explorerInput.value = customNetwork.explorerUrl;
+        if (contractInput) contractInput.value = customNetwork.pairsContract;
+        
+        this.toggleCustomNetworkFields(this.network.id === 'custom');
+    }
+    
+    toggleCustomNetworkFields(visible) {
+        const customFields = document.getElementById('network-custom-fields');
+        if (customFields) {
+            customFields.style.display = visible ? 'flex' : 'none';
+        }
+    }
+    
+    // Reload pairs and chart data from another network
+    async switchNetwork(network) {
+        if (!network) return;
+        
+        const loading = document.getElementById('loading');
+        const error = document.getElementById('error');
+        
+        console.log(`Switching to network ${network.name} (${network.graphqlUrl})`);
+        
+        this.stopLiveUpdates();
+        this.historyGeneration++; // Drop history pages still loading from the old network
+        this.abortPairRequests();
+        this.clearComparisons();
+        this.usdRequestController.abort();
+        this.usdLegs = null;
+        this.reserveChanges = [];
+        this.reservePoints = [];
+        this.pairReserves = null;
+        this.renderDepth();
+        this.renderSwapCalculator();
+        
+        this.network = network;
+        this.client = this.createClient(this.network);
+        this.pairs = [];
+        this.tokens = new Map();
+        this.currentPair = null;
+        this.rawTrades = [];
+        
+        this.updateNetworkSelectorFromState();
+        this.updatePairButtonText();
+        this.updatePairsPanel();
+        this.updateTradeHistory();
+        
+        if (this.priceSeries && this.volumeSeries) {
+            this.priceSeries.setData([]);
+            this.volumeSeries.setData([]);
+        }
+        this.aggregatedCandles = [];
+        this.aggregatedVolumes = [];
+        this.currentCandles = [];
+        this.currentVolumes = [];
+        this.updateIndicators();
+        this.updateTvlPane();
+        this.updateOhlcLegend();
+        
+        if (this.drawingTools) {
+            this.drawingTools.setDrawings([]);
+        }
+        
+        try {
+            loading.style.display = 'block';
+            error.style.display = 'none';
+            
+            await this.fetchAllPairs();
+            
+            if (this.pairs.length === 0) {
+                throw new Error('No trading pairs found');
+            }
+            
+            this.currentPair = this.pairs[0];
+            this.updatePairButtonText();
+            this.updatePairsPanel();
+            this.updateQueryParams();
+            
+            if (this.chart) {
+                this.updateChartTitle();
+                await this.loadChartData();
+            } else {
+                await this.initializeChart();
+                await this.applyCurrentThemeToChart();
+            }
+            
+            loading.style.display = 'none';
+        } catch (err) {
+            loading.style.display = 'none';
+            this.pairsLoadFailed = true;
+            error.textContent = this.isConnectionError(err)
+                ? `Cannot reach the ${this.network.name} node (${err.message}). Click the connection status to retry.`
+                : 'Error loading pairs: ' + err.message;
+            error.style.display = 'block';
+            console.error('Network switch error:', err);
+        }
+    }
+
     initModalControls() {
         // No longer need to initialize settings modal controls
         console.log('Modal controls initialized.');
@@ -1979,9 +4873,55 @@ class ChartController {
         
         pairsList.innerHTML = '';
         
-        // Sort pairs by volume
+        // In USD mode volume is token1's volume at its current USD price and the
+        // change is token0's USD change. Pairs without a USDC route show no volume.
+        // TVL needs a common unit to be comparable: USD, or XIAN otherwise.
+        const inUsd = this.quoteCurrency === 'usd';
+        const usdToken = this.findTokenBySymbol('USDC');
+        const tvlToken = inUsd ? usdToken : this.getHubToken();
+        
+        const prices = new Map();
+        const getPrice = (token, targetToken) => {
+            const key = `${token}>${targetToken}`;
+            if (!prices.has(key)) {
+                prices.set(key, this.getTokenPrice(token, targetToken));
+            }
+            return prices.get(key);
+        };
+        const getVolume = pair => {
+            if (!inUsd) return pair.volume24h;
+            const usd = getPrice(pair.token1, usdToken);
+            return usd ? pair.volume24h1 * usd.price : 0;
+        };
+        const getTvl = pair => {
+            if (pair.reserve1 == null) return null;
+            const price = getPrice(pair.token1, tvlToken);
+            return price ? 2 * pair.reserve1 * price.price : null;
+        };
+        const getChange = pair => (inUsd ? getPrice(pair.token0, usdToken)?.change : pair.priceChange);
+        
+        const headerLabels = {
+            volume: inUsd ? 'Volume (USD)' : 'Volume',
+            tvl: `TVL (${inUsd ? 'USD' : this.tokens.get(tvlToken)?.symbol || 'XIAN'})`,
+            change: inUsd ? '24h Change (USD)' : '24h Change'
+        };
+        document.querySelectorAll('.pairs-header .pairs-column[data-sort]').forEach(column => {
+            const key = column.dataset.sort;
+            const arrow = this.pairsSort.column === key ? (this.pairsSort.descending ? ' ▼' : ' ▲') : '';
+            column.textContent = `${headerLabels[key]}${arrow}`;
+        });
+        
+        // Sort by the selected column, pairs without a value go last either way
+        const getSortValue = { volume: getVolume, tvl: getTvl, change: getChange }[this.pairsSort.column] || getVolume;
         const sortedPairs = [...this.pairs]
-            .sort((a, b) => b.volume24h - a.volume24h);
+            .sort((a, b) => {
+                const valueA = getSortValue(a);
+                const valueB = getSortValue(b);
+                const missingA = valueA == null || isNaN(valueA);
+                const missingB = valueB == null || isNaN(valueB);
+                if (missingA || missingB) return missingA - missingB;
+                return this.pairsSort.descending ? valueB - valueA : valueA - valueB;
+            });
         
         sortedPairs.forEach(pair => {
             const token0 = this.tokens.get(pair.token0);
@@ -2013,12 +4953,19 @@ class ChartController {
             }
             
             const volume = document.createElement('div');
-            volume.textContent = pair.volume24h > 0 
-                ? this.formatVolume(pair.volume24h)
+            const volumeValue = getVolume(pair);
+            volume.textContent = volumeValue > 0 
+                ? this.formatVolume(volumeValue)
+                : '---';
+            
+            const tvl = document.createElement('div');
+            const tvlValue = getTvl(pair);
+            tvl.textContent = tvlValue > 0
+                ? this.formatVolume(tvlValue)
                 : '---';
             
             const priceChange = document.createElement('div');
-            const changeValue = pair.priceChange;
+            const changeValue = getChange(pair);
             
             // Handle NaN, null, undefined values
             if (changeValue === null || changeValue === undefined || isNaN(changeValue)) {
@@ -2031,6 +4978,7 @@ class ChartController {
             
             pairItem.appendChild(pairName);
             pairItem.appendChild(volume);
+            pairItem.appendChild(tvl);
             pairItem.appendChild(priceChange);
             
             // Add click handler
@@ -2058,6 +5006,32 @@ class ChartController {
         });
     }
 
+    // Clicking a sortable column header sorts by it, clicking it again flips the order
+    initPairsSorting() {
+        document.querySelectorAll('.pairs-header .pairs-column[data-sort]').forEach(column => {
+            column.addEventListener('click', () => {
+                const key = column.dataset.sort;
+                this.pairsSort = this.pairsSort.column === key
+                    ? { column: key, descending: !this.pairsSort.descending }
+                    : { column: key, descending: true };
+                localStorage.setItem('pairsSort', JSON.stringify(this.pairsSort));
+                this.updatePairsPanel();
+            });
+        });
+    }
+
+    loadPairsSort() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('pairsSort'));
+            if (saved && ['volume', 'tvl', 'change'].includes(saved.column)) {
+                return { column: saved.column, descending: saved.descending !== false };
+            }
+        } catch (err) {
+            console.error('Error reading pairs sort order:', err);
+        }
+        return { column: 'volume', descending: true };
+    }
+
     formatVolume(volume) {
         if (volume >= 1000000) {
             return `${(volume / 1000000).toFixed(2)}M`;
@@ -2096,6 +5070,10 @@ class ChartController {
 
     // Add methods for live updating
     async fetchNewTrades() {
+        if (this.currentPair && this.currentPair.synthetic) {
+            return await this.fetchNewSyntheticTrades();
+        }
+        
         if (!this.currentPair || !this.lastUpdateTimeString) {
             console.log(`🔍 [DEBUG] fetchNewTrades: No currentPair or lastUpdateTimeString, fetching all trades`);
             // If no lastUpdateTimeString, fetch all trades (initial load)
@@ -2107,70 +5085,12 @@ class ChartController {
         
         console.log(`🕒 [DEBUG] fetchNewTrades: Using stored database timestamp=${sinceTime}`);
         
-        const query = `
-            query GetNewSwapEvents {
-                allEvents(
-                    condition: {contract: "con_pairs", event: "Swap"}
-                    filter: {
-                        dataIndexed: {contains: {pair: "${this.currentPair.id}"}},
-                        created: {greaterThan: "${sinceTime}"}
-                    }
-                    orderBy: CREATED_ASC
-                ) {
-                    edges {
-                        node {
-                            caller
-                            signer
-                            dataIndexed
-                            data
-                            created
-                            txHash
-                        }
-                    }
-                }
-            }
-        `;
-
         try {
-            const response = await fetch(this.GRAPHQL_ENDPOINT, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ query })
+            const newTrades = await this.client.fetchNewTrades(this.currentPair.id, sinceTime, {
+                signal: this.getPairRequestSignal()
             });
-
-            const data = await response.json();
-            
-            console.log(`📋 [DEBUG] fetchNewTrades: GraphQL returned ${data.data?.allEvents?.edges?.length || 0} edges`);
             
-            if (!data.data?.allEvents?.edges) {
-                return { newTrades: [], hasNewTrades: false };
-            }
-
-            // Process new trades
-            const newTrades = data.data.allEvents.edges.map(edge => {
-                const node = edge.node;
-                const dataIndexed = typeof node.dataIndexed === 'string' 
-                    ? JSON.parse(node.dataIndexed) 
-                    : node.dataIndexed;
-                const swapData = typeof node.data === 'string' 
-                    ? JSON.parse(node.data) 
-                    : node.data;
-                
-                const timestampStr = node.created;
-                const timestamp = new Date(timestampStr + 'Z'); // Ensure treating as UTC
-                
-                return {
-                    timestamp: timestamp,
-                    timestampStr: timestampStr,
-                    indexed: dataIndexed,
-                    data: swapData,
-                    caller: node.caller,
-                    signer: node.signer,
-                    txHash: node.txHash
-                };
-            });
+            console.log(`📋 [DEBUG] fetchNewTrades: GraphQL returned ${newTrades.length} trades`);
 
             if (newTrades.length > 0) {
                 console.log(`✅ [DEBUG] fetchNewTrades: Found ${newTrades.length} new trades, first: ${newTrades[0].timestampStr}, last: ${newTrades[newTrades.length - 1].timestampStr}`);
@@ -2181,49 +5101,87 @@ class ChartController {
             }
 
         } catch (error) {
-            console.error('Error fetching new trades:', error);
+            if (error.kind !== 'aborted') {
+                console.error('Error fetching new trades:', error);
+            }
             return { newTrades: [], hasNewTrades: false };
         }
     }
 
-    updateChartWithNewTrades(newTrades) {
+    async updateChartWithNewTrades(newTrades) {
         if (!newTrades || newTrades.length === 0) {
             console.log(`⚠️ [DEBUG] updateChartWithNewTrades called with no trades`);
             return;
         }
 
-        console.log(`🔄 [DEBUG] updateChartWithNewTrades: Adding ${newTrades.length} new trades to existing ${this.rawTrades.length} trades`);
+        // Skip trades we already have (e.g. loaded by a history page in the meantime)
+        const knownTrades = new Set(this.rawTrades.map(trade => trade.id));
+        const freshTrades = newTrades.filter(trade => !knownTrades.has(trade.id));
+        if (freshTrades.length === 0) {
+            return;
+        }
 
-        // Add new trades to raw trades array
-        this.rawTrades = [...this.rawTrades, ...newTrades];
-        
-        // Sort by timestamp to maintain order
-        this.rawTrades.sort((a, b) => a.timestamp - b.timestamp);
+        console.log(`🔄 [DEBUG] updateChartWithNewTrades: Adding ${freshTrades.length} new trades to existing ${this.rawTrades.length} trades`);
+
+        const generation = this.historyGeneration;
+
+        // Add new trades to raw trades array, sorted by timestamp
+        this.rawTrades = this.mergeTrades(this.rawTrades, freshTrades);
+        this.addCandleTrades(freshTrades);
+        this.saveTradesToCache(freshTrades);
 
         console.log(`📊 [DEBUG] Total trades after update: ${this.rawTrades.length}`);
 
-        // Reprocess all trades to update candles
-        const allTrades = [...this.rawTrades].sort((a, b) => a.timestamp - b.timestamp);
-        const chartData = this.processSwapEvents(allTrades);
-        
-        console.log(`📈 [DEBUG] Generated ${chartData.candles.length} candles and ${chartData.volumes.length} volume bars`);
-        
-        if (chartData.candles.length > 0) {
-            // Update chart series with new data
-            this.candlestickSeries.setData(chartData.candles);
-            this.volumeSeries.setData(chartData.volumes);
+        // Fold the trades into the current or next candle
+        const update = this.candleAggregator
+            ? this.candleAggregator.addTrades(freshTrades)
+            : { rebuild: true };
+
+        if (update.rebuild) {
+            // A trade landed before the last candle, rebuild everything
+            const chartData = await this.aggregateCandles();
             
-            // Update volume lookup map for tooltip
-            this.volumeByTime = new Map();
-            chartData.volumes.forEach(vol => {
-                this.volumeByTime.set(vol.time, vol.value);
-            });
+            // The pair was changed while the candles were being rebuilt
+            if (generation !== this.historyGeneration) {
+                return;
+            }
             
-            // Update trade history
-            this.updateTradeHistory();
+            if (chartData.candles.length > 0) {
+                this.renderChartData(chartData);
+            }
+        } else {
+            this.aggregatedCandles = this.mergeBars(this.aggregatedCandles, update.candles);
+            this.aggregatedVolumes = this.mergeBars(this.aggregatedVolumes, update.volumes);
+            
+            if (this.chartType === 'heikinashi' || this.chartType === 'renko' || this.isUsdQuote()) {
+                // Derived and re-quoted bars depend on earlier ones, recompute them all
+                this.setDisplayData(this.getDisplayData({ candles: this.aggregatedCandles, volumes: this.aggregatedVolumes }));
+            } else {
+                this.toPriceSeriesData(update.candles).forEach(bar => this.priceSeries.update(bar));
+                update.volumes.forEach(volume => {
+                    this.volumeSeries.update(volume);
+                    this.volumeByTime.set(volume.time, volume.value);
+                });
+                
+                this.currentCandles = this.aggregatedCandles;
+                this.currentVolumes = this.aggregatedVolumes;
+                this.updateIndicators();
+                this.updateTvlPane();
+                this.updateOhlcLegend();
+                this.updateTradeMarkers();
+            }
+            
+            if (this.drawingTools) {
+                this.drawingTools.render();
+            }
             
-            console.log(`✅ [DEBUG] Chart updated successfully`);
+            console.log(`📈 [DEBUG] Updated ${update.candles.length} candles incrementally`);
         }
+        
+        // Update trade history
+        this.prependTradeHistoryRows(freshTrades);
+        
+        console.log(`✅ [DEBUG] Chart updated successfully`);
     }
 
     startLiveUpdates() {
@@ -2263,7 +5221,11 @@ class ChartController {
                 
                 if (hasNewTrades) {
                     console.log(`📈 [DEBUG] Processing ${newTrades.length} new trades`);
-                    this.updateChartWithNewTrades(newTrades);
+                    await this.updateChartWithNewTrades(newTrades);
+                    
+                    // Swaps moved the reserves
+                    await this.refreshDepth();
+                    await this.refreshReserveHistory();
                     
                     // Update lastUpdateTime to the timestamp of the most recent new trade
                     const sortedNewTrades = [...newTrades].sort((a, b) => a.timestamp - b.timestamp);
@@ -2275,6 +5237,9 @@ class ChartController {
                     console.log(`💤 [DEBUG] No new trades found - should NOT be updating chart`);
                 }
                 
+                await this.updateComparisons();
+                await this.updateUsdLegs();
+                
             } catch (error) {
                 console.error('Live update error:', error);
             } finally {
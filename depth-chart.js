@@ -0,0 +1,192 @@
+// Liquidity depth chart
+//
+// Canvas rendering of the synthetic order book from XianDex.calculateDepth: the
+// cumulative amount of the base token that can be sold (bids, left) or bought
+// (asks, right) up to each price. Hovering shows the amount and the quote cost
+// at the price under the pointer.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DepthChart = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const PADDING = { top: 16, right: 12, bottom: 24, left: 12 };
+
+    function formatNumber(value) {
+        if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+        if (value >= 1e3) return `${(value / 1e3).toFixed(2)}K`;
+        return value >= 1 ? value.toFixed(2) : value.toPrecision(3);
+    }
+
+    function formatPrice(price) {
+        return price >= 1 ? price.toFixed(4) : price.toPrecision(4);
+    }
+
+    class DepthChart {
+        constructor(container) {
+            this.container = container;
+            this.depth = null;
+            this.labels = { base: '', quote: '' };
+            this.hoverX = null;
+
+            this.canvas = document.createElement('canvas');
+            this.canvas.style.display = 'block';
+            this.canvas.style.width = '100%';
+            this.canvas.style.height = '100%';
+            this.container.appendChild(this.canvas);
+
+            this.canvas.addEventListener('mousemove', event => {
+                const rect = this.canvas.getBoundingClientRect();
+                this.hoverX = event.clientX - rect.left;
+                this.draw();
+            });
+            this.canvas.addEventListener('mouseleave', () => {
+                this.hoverX = null;
+                this.draw();
+            });
+        }
+
+        // depth is the calculateDepth result, labels the { base, quote } symbols
+        setData(depth, labels) {
+            this.depth = depth;
+            this.labels = labels;
+            this.draw();
+        }
+
+        // Size the canvas backing store to the element, for sharp lines on HiDPI screens
+        resize() {
+            const ratio = window.devicePixelRatio || 1;
+            const width = this.container.clientWidth;
+            const height = this.container.clientHeight;
+
+            this.canvas.width = Math.max(1, Math.floor(width * ratio));
+            this.canvas.height = Math.max(1, Math.floor(height * ratio));
+            this.width = width;
+            this.height = height;
+            this.ratio = ratio;
+        }
+
+        draw() {
+            this.resize();
+
+            const ctx = this.canvas.getContext('2d');
+            const styles = getComputedStyle(document.body);
+            const textColor = styles.getPropertyValue('--text-color').trim() || '#d4d4d4';
+            const gridColor = styles.getPropertyValue('--chart-grid-color').trim() || '#2a2a2a';
+            const bidColor = styles.getPropertyValue('--buy-color').trim() || '#0066ff';
+            const askColor = styles.getPropertyValue('--sell-color').trim() || '#9933ff';
+
+            ctx.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+            ctx.clearRect(0, 0, this.width, this.height);
+            ctx.font = "11px 'Inter', 'Roboto', sans-serif";
+
+            const depth = this.depth;
+            if (!depth || depth.price === null || depth.asks.length === 0) {
+                ctx.fillStyle = textColor;
+                ctx.textAlign = 'center';
+                ctx.fillText('No liquidity data', this.width / 2, this.height / 2);
+                return;
+            }
+
+            const minPrice = depth.bids[depth.bids.length - 1].price;
+            const maxPrice = depth.asks[depth.asks.length - 1].price;
+            const maxAmount = Math.max(depth.bids[depth.bids.length - 1].amount, depth.asks[depth.asks.length - 1].amount);
+
+            const plotWidth = this.width - PADDING.left - PADDING.right;
+            const plotHeight = this.height - PADDING.top - PADDING.bottom;
+            const x = price => PADDING.left + (price - minPrice) / (maxPrice - minPrice) * plotWidth;
+            const y = amount => PADDING.top + plotHeight - amount / maxAmount * plotHeight;
+            const baseline = y(0);
+
+            // Price axis
+            ctx.strokeStyle = gridColor;
+            ctx.fillStyle = textColor;
+            ctx.textAlign = 'center';
+            ctx.beginPath();
+            ctx.moveTo(PADDING.left, baseline);
+            ctx.lineTo(PADDING.left + plotWidth, baseline);
+            ctx.stroke();
+            [minPrice, depth.price, maxPrice].forEach((price, i) => {
+                ctx.textAlign = ['left', 'center', 'right'][i];
+                ctx.fillText(formatPrice(price), x(price), this.height - 6);
+            });
+
+            // One filled step area per side, starting at the current price
+            const drawSide = (levels, color) => {
+                ctx.beginPath();
+                ctx.moveTo(x(depth.price), baseline);
+                let previousY = baseline;
+                levels.forEach(level => {
+                    ctx.lineTo(x(level.price), previousY);
+                    previousY = y(level.amount);
+                    ctx.lineTo(x(level.price), previousY);
+                });
+                ctx.lineTo(x(levels[levels.length - 1].price), baseline);
+                ctx.closePath();
+
+                ctx.fillStyle = color.startsWith('#') ? `${color}40` : color;
+                ctx.fill();
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            };
+            drawSide(depth.bids, bidColor);
+            drawSide(depth.asks, askColor);
+
+            // Current price
+            ctx.strokeStyle = textColor;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x(depth.price), PADDING.top);
+            ctx.lineTo(x(depth.price), baseline);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.textAlign = 'left';
+            ctx.fillStyle = textColor;
+            ctx.fillText(`${formatNumber(maxAmount)} ${this.labels.base}`, PADDING.left, PADDING.top - 4);
+
+            if (this.hoverX !== null) {
+                this.drawHover(ctx, x, y, textColor, plotWidth);
+            }
+        }
+
+        // Nearest level to the pointer with its cumulative amount and cost
+        drawHover(ctx, x, y, textColor, plotWidth) {
+            const depth = this.depth;
+            const levels = [...depth.bids, ...depth.asks];
+            const level = levels.reduce((nearest, candidate) =>
+                Math.abs(x(candidate.price) - this.hoverX) < Math.abs(x(nearest.price) - this.hoverX) ? candidate : nearest);
+
+            const isAsk = level.price > depth.price;
+            const levelX = x(level.price);
+
+            ctx.strokeStyle = textColor;
+            ctx.beginPath();
+            ctx.moveTo(levelX, PADDING.top);
+            ctx.lineTo(levelX, y(0));
+            ctx.stroke();
+
+            const change = (level.price / depth.price - 1) * 100;
+            const lines = [
+                `${formatPrice(level.price)} (${change >= 0 ? '+' : ''}${change.toFixed(1)}%)`,
+                `${isAsk ? 'Buy' : 'Sell'} ${formatNumber(level.amount)} ${this.labels.base}`,
+                `${isAsk ? 'for' : 'receive'} ${formatNumber(level.total)} ${this.labels.quote}`
+            ];
+
+            const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+            const boxX = Math.min(Math.max(levelX + 8, PADDING.left), PADDING.left + plotWidth - boxWidth);
+            const boxY = PADDING.top + 4;
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(boxX, boxY, boxWidth, lines.length * 15 + 6);
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'left';
+            lines.forEach((line, i) => ctx.fillText(line, boxX + 6, boxY + 15 * (i + 1)));
+        }
+    }
+
+    return DepthChart;
+}));
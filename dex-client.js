@@ -0,0 +1,1587 @@
+// XIAN DEX data client
+//
+// Fetches pairs, token metadata and swaps from the XIAN GraphQL API and turns
+// swaps into OHLCV candles. It has no DOM dependency so it can be used from the
+// browser (exposed as the `XianDex` global), from a Web Worker via importScripts,
+// and from Node 18+ via require('./dex-client.js').
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.XianDex = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Known networks. Each profile carries the GraphQL endpoint, the explorer used for
+    // transaction links, the DEX pairs contract and an optional external 24h volume API.
+    // 24h volume is computed from on-chain swaps; the API is only a fallback when set.
+    const NETWORKS = {
+        mainnet: {
+            id: 'mainnet',
+            name: 'Mainnet',
+            graphqlUrl: 'https://node.xian.org/graphql',
+            explorerUrl: 'https://explorer.xian.org',
+            pairsContract: 'con_pairs',
+            volumeApiUrl: null
+        },
+        testnet: {
+            id: 'testnet',
+            name: 'Testnet',
+            graphqlUrl: 'https://testnet.xian.org/graphql',
+            explorerUrl: 'https://testnet.explorer.xian.org',
+            pairsContract: 'con_pairs',
+            volumeApiUrl: null
+        }
+    };
+
+    const DEFAULT_GRAPHQL_ENDPOINT = NETWORKS.mainnet.graphqlUrl;
+
+    // Fallback colors for volume bars when the caller doesn't pass theme colors
+    const DEFAULT_VOLUME_COLORS = {
+        up: '#0066ff80',
+        down: '#9933ff80',
+        empty: '#80808040'
+    };
+
+    // XIAN contract names: lowercase letters, digits and underscores, starting with a letter
+    const CONTRACT_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+    function isValidContractName(name) {
+        return typeof name === 'string' && CONTRACT_NAME_PATTERN.test(name);
+    }
+
+    // Query documents. Every input is passed as a variable, never pasted into the text.
+    const SWAP_NODE_FIELDS = `
+        id
+        caller
+        signer
+        dataIndexed
+        data
+        created
+        txHash
+    `;
+
+    // Every pair created by the pairs contract
+    const PAIRS_QUERY = `
+        query GetPairs($contract: String!) {
+            pairs: allEvents(
+                condition: {contract: $contract, event: "PairCreated"}
+            ) {
+                edges {
+                    node {
+                        dataIndexed
+                        data
+                    }
+                }
+            }
+        }
+    `;
+
+    // Most recent swap of one pair, optionally before a timestamp, for its price and 24h change
+    const LATEST_SWAP_QUERY = `
+        query GetLatestSwap($contract: String!, $filter: EventFilter!) {
+            allEvents(
+                condition: {contract: $contract, event: "Swap"}
+                filter: $filter
+                orderBy: CREATED_DESC
+                first: 1
+            ) {
+                edges {
+                    node {${SWAP_NODE_FIELDS}}
+                }
+            }
+        }
+    `;
+
+    const TOKENS_METADATA_QUERY = `
+        query GetTokensMetadata($keys: [String!]!) {
+            allStates(filter: {key: {in: $keys}}) {
+                nodes {
+                    key
+                    value
+                }
+            }
+        }
+    `;
+
+    const PAIR_RESERVES_QUERY = `
+        query GetPairReserves($keys: [String!]!) {
+            allStates(filter: {key: {in: $keys}}) {
+                nodes {
+                    key
+                    value
+                }
+            }
+        }
+    `;
+
+    // Changes of state keys, newest first. Used for the history of a pair's reserves.
+    const STATE_CHANGES_QUERY = `
+        query GetStateChanges($keys: [String!]!, $first: Int!, $after: Cursor) {
+            allStateChanges(
+                filter: {key: {in: $keys}}
+                orderBy: CREATED_DESC
+                first: $first
+                after: $after
+            ) {
+                pageInfo {
+                    hasNextPage
+                    endCursor
+                }
+                edges {
+                    node {
+                        id
+                        key
+                        valueNumeric
+                        created
+                    }
+                }
+            }
+        }
+    `;
+
+    const SWAP_EVENTS_QUERY = `
+        query GetSwapEvents($contract: String!, $filter: EventFilter!, $first: Int!, $after: Cursor) {
+            allEvents(
+                condition: {contract: $contract, event: "Swap"}
+                filter: $filter
+                orderBy: CREATED_DESC
+                first: $first
+                after: $after
+            ) {
+                pageInfo {
+                    hasNextPage
+                    endCursor
+                }
+                edges {
+                    node {${SWAP_NODE_FIELDS}}
+                }
+            }
+        }
+    `;
+
+    const NEW_SWAP_EVENTS_QUERY = `
+        query GetNewSwapEvents($contract: String!, $filter: EventFilter!) {
+            allEvents(
+                condition: {contract: $contract, event: "Swap"}
+                filter: $filter
+                orderBy: CREATED_ASC
+            ) {
+                edges {
+                    node {${SWAP_NODE_FIELDS}}
+                }
+            }
+        }
+    `;
+
+    // Error raised by the request layer. `kind` tells callers what went wrong:
+    //   'network'  - the request never got a response (offline, DNS, CORS)
+    //   'timeout'  - no response within the client's timeout
+    //   'http'     - the server answered with a non-2xx status (see `status`)
+    //   'graphql'  - the response carried GraphQL `errors` (see `errors`)
+    //   'aborted'  - the caller cancelled the request through its AbortSignal
+    class XianDexError extends Error {
+        constructor(message, { kind, status = null, errors = null, cause = null } = {}) {
+            super(message);
+            this.name = 'XianDexError';
+            this.kind = kind;
+            this.status = status;
+            this.errors = errors;
+            this.cause = cause;
+        }
+
+        // Whether repeating the same request might succeed
+        get retryable() {
+            if (this.kind === 'network' || this.kind === 'timeout') return true;
+            return this.kind === 'http' && (this.status === 429 || this.status >= 500);
+        }
+    }
+
+    function abortedError() {
+        return new XianDexError('Request aborted', { kind: 'aborted' });
+    }
+
+    // Resolve after `ms`, or reject early when the signal aborts
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortedError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortedError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // Run fn over items with at most `limit` calls in flight, results keep the input order
+    async function mapWithConcurrency(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(limit, items.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    function parseJsonField(value) {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    // Fee taken from the input of every swap by the pairs contract
+    const SWAP_FEE = 0.003;
+
+    // State values are JSON; decimals come back as { __fixed__: '1.23' }
+    function parseStateNumber(value) {
+        if (value && typeof value === 'object' && '__fixed__' in value) {
+            value = value.__fixed__;
+        }
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return isFinite(number) ? number : null;
+    }
+
+    // Pool reserves over time as [{ time, reserve0, reserve1 }] (time in seconds,
+    // oldest first) from reserve changes { id, reserve: 0 | 1, value, timestamp }.
+    // Changes in the same block are folded into one point, each point carries the
+    // other reserve forward and points before both reserves are known are dropped.
+    function reserveHistory(changes) {
+        const sorted = [...changes].sort((a, b) => a.timestamp - b.timestamp);
+        const reserves = [null, null];
+        const points = [];
+
+        for (const change of sorted) {
+            reserves[change.reserve] = change.value;
+            if (reserves[0] === null || reserves[1] === null) continue;
+
+            const time = change.timestamp.getTime() / 1000;
+            const last = points[points.length - 1];
+            if (last && last.time === time) {
+                last.reserve0 = reserves[0];
+                last.reserve1 = reserves[1];
+            } else {
+                points.push({ time, reserve0: reserves[0], reserve1: reserves[1] });
+            }
+        }
+
+        return points;
+    }
+
+    // Synthetic order book of a constant-product pool. Prices are quote per base
+    // (reserveQuote / reserveBase). Moving the pool price to P leaves sqrt(k / P)
+    // base in the pool, so the base bought up to P (asks) or sold down to P (bids)
+    // is the difference to the current reserve. `total` is the quote paid or
+    // received including the fee.
+    //
+    // Options:
+    //   fee   - swap fee as a fraction (default SWAP_FEE)
+    //   range - price levels span price * (1 - range) to price * (1 + range) (default 0.5)
+    //   steps - levels per side (default 50)
+    //
+    // Returns { price, bids, asks } with levels as { price, amount, total },
+    // nearest to the current price first.
+    function calculateDepth(reserveBase, reserveQuote, options = {}) {
+        const fee = options.fee !== undefined ? options.fee : SWAP_FEE;
+        const range = Math.min(options.range || 0.5, 0.99);
+        const steps = options.steps || 50;
+
+        if (!(reserveBase > 0) || !(reserveQuote > 0)) {
+            return { price: null, bids: [], asks: [] };
+        }
+
+        const k = reserveBase * reserveQuote;
+        const price = reserveQuote / reserveBase;
+        const bids = [];
+        const asks = [];
+
+        for (let i = 1; i <= steps; i++) {
+            const offset = range * i / steps;
+
+            const askPrice = price * (1 + offset);
+            const askBase = Math.sqrt(k / askPrice);
+            asks.push({
+                price: askPrice,
+                amount: reserveBase - askBase,
+                total: (k / askBase - reserveQuote) / (1 - fee)
+            });
+
+            const bidPrice = price * (1 - offset);
+            const bidBase = Math.sqrt(k / bidPrice);
+            bids.push({
+                price: bidPrice,
+                amount: (bidBase - reserveBase) / (1 - fee),
+                total: reserveQuote - k / bidBase
+            });
+        }
+
+        return { price, bids, asks };
+    }
+
+    // Swap of `amountIn` into a constant-product pool holding `reserveIn` of the
+    // token paid and `reserveOut` of the token received. The fee is taken from the
+    // input and the rest moves the pool along k, as in calculateDepth. Prices are
+    // output per input; priceImpact is how far the execution price falls short of
+    // the current price, fee included, as a fraction.
+    //
+    // Returns { amountOut, fee, executionPrice, price, priceAfter, priceImpact,
+    // reserveIn, reserveOut } with the reserves after the swap, or null when the
+    // pool is empty or the amount isn't positive.
+    function calculateSwap(reserveIn, reserveOut, amountIn, options = {}) {
+        const fee = options.fee !== undefined ? options.fee : SWAP_FEE;
+
+        if (!(reserveIn > 0) || !(reserveOut > 0) || !(amountIn > 0)) {
+            return null;
+        }
+
+        const amountInAfterFee = amountIn * (1 - fee);
+        const amountOut = reserveOut * amountInAfterFee / (reserveIn + amountInAfterFee);
+        const newReserveIn = reserveIn + amountInAfterFee;
+        const newReserveOut = reserveOut - amountOut;
+        const price = reserveOut / reserveIn;
+        const executionPrice = amountOut / amountIn;
+
+        return {
+            amountOut,
+            fee: amountIn * fee,
+            executionPrice,
+            price,
+            priceAfter: newReserveOut / newReserveIn,
+            priceImpact: 1 - executionPrice / price,
+            reserveIn: newReserveIn,
+            reserveOut: newReserveOut
+        };
+    }
+
+    // Convert a GraphQL Swap event node into the normalized trade shape
+    function normalizeSwapNode(node) {
+        const timestampStr = node.created;
+        const timestamp = new Date(timestampStr + 'Z'); // Ensure treating as UTC
+
+        return {
+            id: node.id,
+            timestamp: timestamp,
+            timestampStr: timestampStr,
+            indexed: parseJsonField(node.dataIndexed),
+            data: parseJsonField(node.data),
+            caller: node.caller,
+            signer: node.signer,
+            txHash: node.txHash
+        };
+    }
+
+    // Price of token0 expressed in token1, or token1 in token0 when inverted
+    function calculatePrice(dataIndexed, data, inverted = false) {
+        try {
+            const swapData = parseJsonField(data);
+
+            // Get raw amounts
+            const amount0In = parseFloat(swapData.amount0In) || 0;
+            const amount0Out = parseFloat(swapData.amount0Out) || 0;
+            const amount1In = parseFloat(swapData.amount1In) || 0;
+            const amount1Out = parseFloat(swapData.amount1Out) || 0;
+
+            let price = null;
+
+            // For token1/token0 price:
+            if (amount0Out > 0 && amount1In > 0) {
+                // Buying token0 with token1
+                price = amount1In / amount0Out;
+            } else if (amount0In > 0 && amount1Out > 0) {
+                // Selling token0 for token1
+                price = amount1Out / amount0In;
+            }
+
+            // If price calculation succeeded and we want the inverted pair
+            if (price !== null && inverted) {
+                // Invert the price (tokenB/tokenA instead of tokenA/tokenB)
+                return 1 / price;
+            }
+
+            return price;
+        } catch (error) {
+            console.error('Error calculating price:', error);
+            return null;
+        }
+    }
+
+    function determineTradeType(swapData, inverted = false) {
+        const amount0In = parseFloat(swapData.amount0In) || 0;
+        const amount0Out = parseFloat(swapData.amount0Out) || 0;
+
+        if (amount0In > 0) {
+            return inverted ? 'BUY' : 'SELL'; // Selling token0, buying token1
+        } else if (amount0Out > 0) {
+            return inverted ? 'SELL' : 'BUY'; // Buying token0, selling token1
+        }
+        return 'UNKNOWN';
+    }
+
+    const MINUTES_PER_UNIT = { m: 1, h: 60, d: 1440, w: 10080 };
+    const CALENDAR_UNITS = { W: 'week', M: 'month' };
+    const MAX_TIMEFRAME_MINUTES = 366 * 1440;
+    const MAX_CALENDAR_COUNT = 12;
+
+    // Monday 5 January 1970, the first week start after the epoch
+    const FIRST_WEEK_MS = 4 * 86400000;
+
+    // Shortest label for a fixed interval, e.g. 120 -> '2h'
+    function minutesToLabel(minutes) {
+        const unit = ['w', 'd', 'h'].find(u => minutes % MINUTES_PER_UNIT[u] === 0) || 'm';
+        return `${minutes / MINUTES_PER_UNIT[unit]}${unit}`;
+    }
+
+    // Parse a timeframe such as '15m', '2h', '3d', '1w' or a plain number of minutes.
+    // Upper-case 'W' and 'M' are calendar weeks (starting Monday) and months in UTC;
+    // lower-case 'w' is a fixed 7-day interval.
+    // Returns { label, minutes, calendar, count } or null when the value isn't valid.
+    // `minutes` is approximate for calendar timeframes.
+    function parseTimeframe(value) {
+        const text = String(value == null ? '' : value).trim();
+
+        if (/^\d+$/.test(text)) {
+            const minutes = parseInt(text, 10);
+            if (minutes < 1 || minutes > MAX_TIMEFRAME_MINUTES) return null;
+            return { label: minutesToLabel(minutes), minutes, calendar: null, count: null };
+        }
+
+        const match = text.match(/^(\d+)\s*([mhdwWM])$/);
+        if (!match) return null;
+
+        const count = parseInt(match[1], 10);
+        const unit = match[2];
+
+        if (CALENDAR_UNITS[unit]) {
+            if (count < 1 || count > MAX_CALENDAR_COUNT) return null;
+            return {
+                label: `${count}${unit}`,
+                minutes: count * (unit === 'W' ? 10080 : 43200),
+                calendar: CALENDAR_UNITS[unit],
+                count
+            };
+        }
+
+        const minutes = count * MINUTES_PER_UNIT[unit];
+        if (minutes < 1 || minutes > MAX_TIMEFRAME_MINUTES) return null;
+        return { label: minutesToLabel(minutes), minutes, calendar: null, count: null };
+    }
+
+    // Bucket boundaries for the `timeframe` / `intervalMinutes` candle options.
+    // start(ms) is the start of the bucket containing a timestamp, next(ms) the
+    // start of the following bucket, both in milliseconds.
+    function createBuckets(options = {}) {
+        const timeframe = options.timeframe
+            ? parseTimeframe(options.timeframe)
+            : parseTimeframe(options.intervalMinutes || 60);
+        if (!timeframe) {
+            throw new Error(`Invalid timeframe: ${options.timeframe || options.intervalMinutes}`);
+        }
+
+        const count = timeframe.count;
+
+        if (timeframe.calendar === 'month') {
+            const monthIndex = ms => {
+                const date = new Date(ms);
+                return date.getUTCFullYear() * 12 + date.getUTCMonth();
+            };
+            const monthStart = index => Date.UTC(Math.floor(index / 12), index % 12, 1);
+
+            return {
+                start: ms => monthStart(Math.floor(monthIndex(ms) / count) * count),
+                next: ms => monthStart(Math.floor(monthIndex(ms) / count) * count + count)
+            };
+        }
+
+        // Weeks are counted from a Monday so that buckets start on Mondays
+        const intervalMs = timeframe.calendar === 'week' ? count * 604800000 : timeframe.minutes * 60000;
+        const offset = timeframe.calendar === 'week' ? FIRST_WEEK_MS : 0;
+        const start = ms => Math.floor((ms - offset) / intervalMs) * intervalMs + offset;
+
+        return {
+            start,
+            next: ms => start(ms) + intervalMs
+        };
+    }
+
+    // How intervals without trades are drawn: a flat candle at the previous close,
+    // left out, or a whitespace bar ({ time } only) that keeps the gap on the time scale
+    const FILL_MODES = ['flat', 'skip', 'whitespace'];
+
+    // Where a candle opens: at the previous candle's close or at its own first trade
+    const OPEN_MODES = ['previous', 'first'];
+
+    // Whitespace bars have a time but no prices, Lightweight Charts leaves them empty
+    function isWhitespace(bar) {
+        return bar.close === undefined && bar.value === undefined;
+    }
+
+    // Aggregate trades into candles and volume bars. Candles carry the traded
+    // amount of each token as volume0 and volume1 (volume1 is the bar's value).
+    //
+    // Options:
+    //   timeframe       - a parseTimeframe value such as '2h' or '1M'; overrides intervalMinutes
+    //   intervalMinutes - candle size in minutes (default 60)
+    //   inverted        - quote prices as token0 per token1
+    //   colors          - { up, down, empty } colors for the volume bars
+    //   now             - end of the timeline in ms (default Date.now())
+    //   fill            - empty intervals: 'flat' (default), 'skip' or 'whitespace', see FILL_MODES
+    //   open            - 'previous' close (default) or the interval's 'first' trade
+    function processSwapEvents(tradeEvents, options = {}) {
+        if (tradeEvents.length === 0) return { candles: [], volumes: [] };
+
+        const buckets = createBuckets(options);
+        const inverted = !!options.inverted;
+        const colors = { ...DEFAULT_VOLUME_COLORS, ...options.colors };
+        const fill = options.fill || 'flat';
+        const openAtFirstTrade = options.open === 'first';
+
+        // Pre-sort trades by timestamp once
+        tradeEvents.sort((a, b) => a.timestamp - b.timestamp);
+
+        // Create a map for quick lookup of trades in each interval
+        const tradesByInterval = new Map();
+
+        // Group trades by interval - O(n) operation
+        tradeEvents.forEach(trade => {
+            const key = buckets.start(trade.timestamp.getTime());
+
+            if (!tradesByInterval.has(key)) {
+                tradesByInterval.set(key, []);
+            }
+            tradesByInterval.get(key).push(trade);
+        });
+
+        // Get first trade timestamp and current time to create complete timeline
+        const firstTradeTime = tradeEvents[0].timestamp.getTime();
+        const currentTime = options.now || Date.now();
+
+        // Create complete timeline from first trade to current time
+        const firstInterval = buckets.start(firstTradeTime);
+        const currentInterval = buckets.start(currentTime);
+
+        const completeTimeline = [];
+        for (let time = firstInterval; time <= currentInterval; time = buckets.next(time)) {
+            completeTimeline.push(time);
+        }
+
+        const candles = [];
+        const volumes = [];
+        let previousClose = null;
+
+        // Process complete timeline to maintain full history without gaps
+        completeTimeline.forEach(time => {
+            const trades = tradesByInterval.get(time) || [];
+            const timestamp = Math.floor(time / 1000); // Convert to seconds for the chart
+
+            if (trades.length > 0) {
+                // Calculate candle data in a single pass
+                let open = previousClose !== null && !openAtFirstTrade
+                    ? previousClose
+                    : calculatePrice(trades[0].indexed, trades[0].data, inverted);
+                let high = open;
+                let low = open;
+                let volume = 0;
+                let volume0 = 0;
+
+                // Single pass through trades for this interval
+                trades.forEach(trade => {
+                    const price = calculatePrice(trade.indexed, trade.data, inverted);
+                    if (price !== null) {
+                        high = Math.max(high, price);
+                        low = Math.min(low, price);
+                        volume += parseFloat(trade.data.amount1In || 0) + parseFloat(trade.data.amount1Out || 0);
+                        volume0 += parseFloat(trade.data.amount0In || 0) + parseFloat(trade.data.amount0Out || 0);
+                    }
+                });
+
+                const close = calculatePrice(trades[trades.length - 1].indexed, trades[trades.length - 1].data, inverted);
+
+                candles.push({
+                    time: timestamp,
+                    open,
+                    high,
+                    low,
+                    close,
+                    volume0,
+                    volume1: volume,
+                    tradeCount: trades.length
+                });
+
+                volumes.push({
+                    time: timestamp,
+                    value: volume,
+                    color: close >= open ? colors.up : colors.down
+                });
+
+                previousClose = close;
+            } else if (previousClose !== null && fill === 'whitespace') {
+                candles.push({ time: timestamp });
+                volumes.push({ time: timestamp });
+            } else if (previousClose !== null && fill === 'flat') {
+                // Empty interval - create candle with previous close price
+                candles.push({
+                    time: timestamp,
+                    open: previousClose,
+                    high: previousClose,
+                    low: previousClose,
+                    close: previousClose,
+                    volume0: 0,
+                    volume1: 0,
+                    tradeCount: 0
+                });
+
+                volumes.push({
+                    time: timestamp,
+                    value: 0,
+                    color: colors.empty
+                });
+            }
+        });
+
+        return { candles, volumes };
+    }
+
+    // Heikin-Ashi candles derived from regular candles. Each bar's open is the
+    // midpoint of the previous Heikin-Ashi bar, its close the average of the OHLC.
+    // Whitespace bars are passed through.
+    function heikinAshi(candles) {
+        const result = [];
+        let previous = null;
+
+        candles.forEach(candle => {
+            if (isWhitespace(candle)) {
+                result.push(candle);
+                return;
+            }
+
+            const close = (candle.open + candle.high + candle.low + candle.close) / 4;
+            const open = previous === null
+                ? (candle.open + candle.close) / 2
+                : (previous.open + previous.close) / 2;
+
+            previous = {
+                time: candle.time,
+                open,
+                high: Math.max(candle.high, open, close),
+                low: Math.min(candle.low, open, close),
+                close,
+                volume0: candle.volume0,
+                volume1: candle.volume1,
+                tradeCount: candle.tradeCount
+            };
+            result.push(previous);
+        });
+
+        return result;
+    }
+
+    // Boxes smaller than this fraction of the highest close would build millions of
+    // bricks, or never finish once top + boxSize rounds back to top
+    const MIN_RENKO_BOX_RATIO = 1e-6;
+
+    // Hard limit on the bricks built from one set of candles
+    const MAX_RENKO_BRICKS = 100000;
+
+    // Smallest box size renko() accepts for these candles, null without any
+    function minRenkoBoxSize(candles) {
+        const closes = candles.filter(candle => !isWhitespace(candle)).map(candle => Math.abs(candle.close));
+        if (closes.length === 0) return null;
+        return closes.reduce((max, close) => Math.max(max, close), 0) * MIN_RENKO_BOX_RATIO;
+    }
+
+    // Renko bricks of `boxSize` built from candle closes. A brick forms when the
+    // close moves a full box past the last brick, so reversals need two boxes.
+    // Each brick takes the time of the candle that completed it; bricks completed
+    // by the same candle are spaced one second apart to keep times unique.
+    // Volume and trades are added to the next brick that forms. Whitespace bars
+    // are ignored. Box sizes below minRenkoBoxSize() give no bricks, and building
+    // stops after MAX_RENKO_BRICKS.
+    //
+    // Options:
+    //   colors - { up, down } colors for the volume bars
+    function renko(candles, volumes, boxSize, options = {}) {
+        candles = candles.filter(candle => !isWhitespace(candle));
+        if (!(boxSize > 0) || candles.length === 0 || boxSize < minRenkoBoxSize(candles)) {
+            return { candles: [], volumes: [] };
+        }
+
+        const colors = { ...DEFAULT_VOLUME_COLORS, ...options.colors };
+        const volumeByTime = new Map(volumes.map(volume => [volume.time, volume.value]));
+        const bricks = [];
+        const brickVolumes = [];
+
+        let top = candles[0].close;
+        let bottom = candles[0].close;
+        let lastTime = -Infinity;
+        let pendingVolume = 0;
+        let pendingVolume0 = 0;
+        let pendingTrades = 0;
+
+        const addBrick = (time, open, close) => {
+            lastTime = Math.max(time, lastTime + 1);
+            bricks.push({
+                time: lastTime,
+                open,
+                high: Math.max(open, close),
+                low: Math.min(open, close),
+                close,
+                volume0: pendingVolume0,
+                volume1: pendingVolume,
+                tradeCount: pendingTrades
+            });
+            brickVolumes.push({
+                time: lastTime,
+                value: pendingVolume,
+                color: close > open ? colors.up : colors.down
+            });
+            pendingVolume = 0;
+            pendingVolume0 = 0;
+            pendingTrades = 0;
+        };
+
+        for (const candle of candles) {
+            if (bricks.length >= MAX_RENKO_BRICKS) break;
+
+            pendingVolume += volumeByTime.get(candle.time) || 0;
+            pendingVolume0 += candle.volume0 || 0;
+            pendingTrades += candle.tradeCount || 0;
+
+            while (bricks.length < MAX_RENKO_BRICKS) {
+                if (candle.close >= top + boxSize) {
+                    addBrick(candle.time, top, top + boxSize);
+                    bottom = top;
+                    top += boxSize;
+                } else if (candle.close <= bottom - boxSize && bottom - boxSize > 0) {
+                    addBrick(candle.time, bottom, bottom - boxSize);
+                    top = bottom;
+                    bottom -= boxSize;
+                } else {
+                    break;
+                }
+            }
+        }
+
+        return { candles: bricks, volumes: brickVolumes };
+    }
+
+    // Box size from the average true range of the last `period` candles,
+    // rounded to two significant digits
+    function defaultRenkoBoxSize(candles, period = 14) {
+        const recent = candles.filter(candle => !isWhitespace(candle)).slice(-(period + 1));
+        if (recent.length === 0) return null;
+
+        let total = 0;
+        for (let i = 1; i < recent.length; i++) {
+            const previousClose = recent[i - 1].close;
+            total += Math.max(
+                recent[i].high - recent[i].low,
+                Math.abs(recent[i].high - previousClose),
+                Math.abs(recent[i].low - previousClose)
+            );
+        }
+
+        const lastClose = recent[recent.length - 1].close;
+        const atr = recent.length > 1 ? total / (recent.length - 1) : 0;
+        const size = atr > 0 ? atr : lastClose * 0.01;
+        return size > 0 ? Number(size.toPrecision(2)) : null;
+    }
+
+    // Pairs leading from one token to another: the pair trading them directly or,
+    // failing that, two pairs through a hub token such as XIAN. Each leg prices its
+    // `from` token in its `to` token and is `inverted` when `from` is the pair's
+    // token1. Returns [] for the same token and null when there is no route. When
+    // several pairs trade the same tokens the one with the most 24h volume is used.
+    function findRoute(pairs, fromToken, toToken, hubToken = null) {
+        if (fromToken === toToken) return [];
+
+        const findPair = (a, b) => pairs
+            .filter(pair => (pair.token0 === a && pair.token1 === b) || (pair.token0 === b && pair.token1 === a))
+            .reduce((best, pair) => (!best || (pair.volume24h || 0) > (best.volume24h || 0) ? pair : best), null);
+        const leg = (pair, from, to) => ({ pairId: pair.id, from, to, inverted: pair.token1 === from });
+
+        const direct = findPair(fromToken, toToken);
+        if (direct) return [leg(direct, fromToken, toToken)];
+
+        if (hubToken && hubToken !== fromToken && hubToken !== toToken) {
+            const first = findPair(fromToken, hubToken);
+            const second = findPair(hubToken, toToken);
+            if (first && second) {
+                return [leg(first, fromToken, hubToken), leg(second, hubToken, toToken)];
+            }
+        }
+
+        return null;
+    }
+
+    // Swaps of a synthetic pair, token0 priced in token1, built from the swaps of
+    // the route pairs (findRoute legs from token0 to token1, with each leg's trades
+    // in `legTrades`). Every leg swap becomes a swap at the product of the legs'
+    // latest prices, so candles, volume and the trade history work unchanged.
+    // Swaps before every leg has traded are skipped. Amounts are the leg's traded
+    // amount expressed in token0; a swap is a buy when the leg's `from` token left
+    // the pool, i.e. when it moved along the route towards token0.
+    function syntheticTrades(route, legTrades, pairId) {
+        const events = [];
+        route.forEach((leg, legIndex) => {
+            (legTrades[legIndex] || []).forEach(trade => events.push({ leg, legIndex, trade }));
+        });
+        events.sort((a, b) => a.trade.timestamp - b.trade.timestamp);
+
+        const prices = route.map(() => null);
+        const trades = [];
+
+        for (const { leg, legIndex, trade } of events) {
+            const price = calculatePrice(trade.indexed, trade.data, leg.inverted);
+            if (price === null || !isFinite(price) || price <= 0) continue;
+
+            prices[legIndex] = price;
+            if (prices.some(legPrice => legPrice === null)) continue;
+
+            const syntheticPrice = prices.reduce((product, legPrice) => product * legPrice, 1);
+            // Price of token0 in this leg's `from` token
+            const fromPerToken0 = prices.slice(0, legIndex).reduce((product, legPrice) => product * legPrice, 1);
+
+            const data = parseJsonField(trade.data);
+            const side = leg.inverted ? 1 : 0;
+            const fromIn = parseFloat(data[`amount${side}In`]) || 0;
+            const fromOut = parseFloat(data[`amount${side}Out`]) || 0;
+            const amount0 = (fromIn + fromOut) / fromPerToken0;
+            const amount1 = amount0 * syntheticPrice;
+
+            trades.push({
+                ...trade,
+                id: `${leg.pairId}:${trade.id}`,
+                indexed: { ...parseJsonField(trade.indexed), pair: pairId },
+                data: fromOut > 0
+                    ? { amount0In: 0, amount0Out: amount0, amount1In: amount1, amount1Out: 0 }
+                    : { amount0In: amount0, amount0Out: 0, amount1In: 0, amount1Out: amount1 },
+                routePairId: leg.pairId
+            });
+        }
+
+        return trades;
+    }
+
+    // Price history of one route leg as [{ time, value }] with time in seconds
+    function tradePrices(trades, inverted = false) {
+        return trades
+            .map(trade => ({
+                time: trade.timestamp.getTime() / 1000,
+                value: calculatePrice(trade.indexed, trade.data, inverted)
+            }))
+            .filter(point => point.value !== null && isFinite(point.value) && point.value > 0)
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // Last price at or before `time` (seconds). Times before the history take its
+    // first price, an empty history gives null.
+    function priceAt(prices, time) {
+        if (prices.length === 0) return null;
+
+        let low = 0;
+        let high = prices.length - 1;
+        let found = 0;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (prices[mid].time <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return prices[found].value;
+    }
+
+    // Rate converting a route's first token into its last at `time`, the product of
+    // the legs' prices. An empty route (same token) converts at 1.
+    function routeRate(legPrices, time) {
+        let rate = 1;
+        for (const prices of legPrices) {
+            const price = priceAt(prices, time);
+            if (price === null) return null;
+            rate *= price;
+        }
+        return rate;
+    }
+
+    // Re-quote candles and volumes with `getRate(timeInSeconds)`. Opens use the rate
+    // at the start of the bar and closes the rate at its end, so consecutive bars
+    // stay continuous; highs and lows take the wider of the two. `volumeKey` names
+    // the candle field holding the quote token amount ('volume0' or 'volume1'),
+    // which becomes the volume bar value. Whitespace bars are kept as they are.
+    function convertCandles(chartData, getRate, options = {}) {
+        const volumeKey = options.volumeKey || 'volume1';
+        const volumeByTime = new Map();
+
+        const candles = chartData.candles.map((candle, i) => {
+            if (isWhitespace(candle)) return candle;
+
+            const next = chartData.candles[i + 1];
+            const openRate = getRate(candle.time);
+            const closeRate = getRate(next ? next.time - 0.001 : Infinity);
+            if (openRate === null || closeRate === null) return candle;
+
+            volumeByTime.set(candle.time, (candle[volumeKey] || 0) * closeRate);
+            return {
+                ...candle,
+                open: candle.open * openRate,
+                high: candle.high * Math.max(openRate, closeRate),
+                low: candle.low * Math.min(openRate, closeRate),
+                close: candle.close * closeRate
+            };
+        });
+
+        const volumes = chartData.volumes.map(volume => (volumeByTime.has(volume.time)
+            ? { ...volume, value: volumeByTime.get(volume.time) }
+            : volume));
+
+        return { candles, volumes };
+    }
+
+    // Folds live trades into the last candle one at a time, so new swaps don't
+    // require re-aggregating the whole history. Seed it with the candles and
+    // volumes from processSwapEvents (using the same options); addTrades()
+    // returns only the bars that changed, ready for series.update().
+    class CandleAggregator {
+        constructor(candles, volumes, options = {}) {
+            this.buckets = createBuckets(options);
+            this.inverted = !!options.inverted;
+            this.colors = { ...DEFAULT_VOLUME_COLORS, ...options.colors };
+            this.fill = options.fill || 'flat';
+            this.openAtFirstTrade = options.open === 'first';
+
+            // Whitespace bars may follow the last candle with prices, the next
+            // candle still opens from that one
+            const priced = candles.filter(candle => !isWhitespace(candle));
+            this.lastCandle = priced.length > 0 ? { ...priced[priced.length - 1] } : null;
+            const lastVolume = this.lastCandle ? volumes.find(volume => volume.time === this.lastCandle.time) : null;
+            this.lastVolume = lastVolume ? { ...lastVolume } : null;
+            this.lastTime = candles.length > 0 ? candles[candles.length - 1].time : null;
+        }
+
+        // Fold trades into the candles and extend the timeline to `now`.
+        // Returns { candles, volumes, rebuild }; rebuild is true when a trade falls
+        // before the last candle and only a full aggregation can place it.
+        addTrades(trades, now = Date.now()) {
+            const changedCandles = new Map();
+            const changedVolumes = new Map();
+            const sortedTrades = [...trades].sort((a, b) => a.timestamp - b.timestamp);
+
+            for (const trade of sortedTrades) {
+                const time = this.bucketTime(trade.timestamp.getTime());
+
+                if (this.lastTime !== null && time < this.lastTime) {
+                    return { candles: [], volumes: [], rebuild: true };
+                }
+
+                if (this.lastCandle && time > this.lastTime) {
+                    this.fillEmptyCandles(time, changedCandles, changedVolumes);
+                }
+
+                this.foldTrade(trade, time);
+                changedCandles.set(this.lastCandle.time, { ...this.lastCandle });
+                changedVolumes.set(this.lastVolume.time, { ...this.lastVolume });
+            }
+
+            // Keep the empty intervals up to the current one, like processSwapEvents does
+            if (this.lastCandle) {
+                const currentTime = this.buckets.next(now) / 1000;
+                this.fillEmptyCandles(currentTime, changedCandles, changedVolumes);
+            }
+
+            return {
+                candles: Array.from(changedCandles.values()),
+                volumes: Array.from(changedVolumes.values()),
+                rebuild: false
+            };
+        }
+
+        // Start of the interval containing a timestamp, in chart seconds
+        bucketTime(timestampMs) {
+            return this.buckets.start(timestampMs) / 1000;
+        }
+
+        // Add a bar for every empty interval before `time` in the fill mode:
+        // flat candles at the previous close, whitespace bars or nothing at all
+        fillEmptyCandles(time, changedCandles, changedVolumes) {
+            if (this.fill === 'skip') return;
+
+            const close = this.lastCandle.close;
+            const nextTime = emptyTime => this.buckets.next(emptyTime * 1000) / 1000;
+
+            for (let emptyTime = nextTime(this.lastTime); emptyTime < time; emptyTime = nextTime(emptyTime)) {
+                if (this.fill === 'whitespace') {
+                    changedCandles.set(emptyTime, { time: emptyTime });
+                    changedVolumes.set(emptyTime, { time: emptyTime });
+                } else {
+                    this.lastCandle = { time: emptyTime, open: close, high: close, low: close, close, volume0: 0, volume1: 0, tradeCount: 0 };
+                    this.lastVolume = { time: emptyTime, value: 0, color: this.colors.empty };
+                    changedCandles.set(emptyTime, { ...this.lastCandle });
+                    changedVolumes.set(emptyTime, { ...this.lastVolume });
+                }
+                this.lastTime = emptyTime;
+            }
+        }
+
+        foldTrade(trade, time) {
+            const price = calculatePrice(trade.indexed, trade.data, this.inverted);
+
+            if (!this.lastCandle || time > this.lastCandle.time) {
+                // New interval opens at the previous close or at this trade
+                const open = this.lastCandle && (!this.openAtFirstTrade || price === null) ? this.lastCandle.close : price;
+                this.lastCandle = { time, open, high: open, low: open, close: open, volume0: 0, volume1: 0, tradeCount: 0 };
+                this.lastVolume = { time, value: 0, color: this.colors.empty };
+                this.lastTime = time;
+            } else if (this.openAtFirstTrade && this.lastCandle.tradeCount === 0 && price !== null) {
+                // A flat placeholder for the current interval opens at its first trade
+                Object.assign(this.lastCandle, { open: price, high: price, low: price, close: price });
+            }
+
+            const candle = this.lastCandle;
+            candle.tradeCount += 1;
+
+            if (price !== null) {
+                candle.high = Math.max(candle.high, price);
+                candle.low = Math.min(candle.low, price);
+                candle.close = price;
+                const amount1 = parseFloat(trade.data.amount1In || 0) + parseFloat(trade.data.amount1Out || 0);
+                candle.volume0 = (candle.volume0 || 0) + parseFloat(trade.data.amount0In || 0) + parseFloat(trade.data.amount0Out || 0);
+                candle.volume1 = (candle.volume1 || 0) + amount1;
+                this.lastVolume.value += amount1;
+            }
+
+            this.lastVolume.color = candle.close >= candle.open ? this.colors.up : this.colors.down;
+        }
+    }
+
+    class XianDexClient {
+        // Options:
+        //   network       - a NETWORKS id or a profile object (default mainnet)
+        //   endpoint      - GraphQL endpoint URL, overrides the profile
+        //   pairsContract - DEX pairs contract name, overrides the profile
+        //   volumeApiUrl  - base URL of an external 24h volume API used as a fallback,
+        //                   e.g. 'https://xian-api.poc.workers.dev' (overrides the profile)
+        //   fetch         - fetch implementation (defaults to the global fetch)
+        //   timeout       - milliseconds before a single attempt is abandoned (default 15000)
+        //   retries       - extra attempts for network errors, timeouts and 5xx/429 (default 3)
+        //   retryDelay    - base backoff in milliseconds, doubled on every retry (default 500)
+        //   concurrency   - parallel requests when fetching one thing per pair (default 6)
+        //   onStatusChange - called with { state, attempt, error } where state is
+        //                   'online', 'retrying' or 'offline'
+        //
+        // Every fetch method accepts a `signal` option to cancel it, in which case it
+        // rejects with a XianDexError of kind 'aborted'.
+        constructor(options = {}) {
+            const network = typeof options.network === 'string'
+                ? NETWORKS[options.network]
+                : options.network;
+            const profile = network || NETWORKS.mainnet;
+
+            this.network = profile;
+            this.endpoint = options.endpoint || profile.graphqlUrl;
+            this.pairsContract = options.pairsContract || profile.pairsContract || 'con_pairs';
+            if (!isValidContractName(this.pairsContract)) {
+                throw new Error(`Invalid pairs contract name: ${this.pairsContract}`);
+            }
+            this.volumeApiUrl = options.volumeApiUrl !== undefined ? options.volumeApiUrl : profile.volumeApiUrl;
+            this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+            this.timeout = options.timeout !== undefined ? options.timeout : 15000;
+            this.retries = options.retries !== undefined ? options.retries : 3;
+            this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 500;
+            this.concurrency = options.concurrency || 6;
+            this.onStatusChange = options.onStatusChange || null;
+            this.status = 'online';
+        }
+
+        setStatus(state, details = {}) {
+            // Repeated 'online' reports are noise, retries always carry a new attempt number
+            if (state === this.status && state !== 'retrying') return;
+
+            this.status = state;
+            if (this.onStatusChange) {
+                this.onStatusChange({ state, ...details });
+            }
+        }
+
+        // Shared request layer: a timeout per attempt, exponential-backoff retries for
+        // transient failures and cancellation through `options.signal`.
+        // Resolves with the parsed JSON body.
+        async request(url, init = {}, options = {}) {
+            const signal = options.signal;
+
+            for (let attempt = 0; ; attempt++) {
+                if (signal && signal.aborted) {
+                    throw abortedError();
+                }
+
+                try {
+                    const json = await this.attemptRequest(url, init, signal);
+                    this.setStatus('online');
+                    return json;
+                } catch (error) {
+                    if (error.kind === 'aborted' || !error.retryable) {
+                        throw error;
+                    }
+
+                    if (attempt >= this.retries) {
+                        this.setStatus('offline', { attempt, error });
+                        throw error;
+                    }
+
+                    const delay = this.retryDelay * Math.pow(2, attempt);
+                    console.warn(`Request to ${url} failed (${error.message}), retrying in ${delay}ms`);
+                    this.setStatus('retrying', { attempt: attempt + 1, error });
+
+                    await wait(delay, signal);
+                }
+            }
+        }
+
+        // A single request bounded by the client's timeout
+        async attemptRequest(url, init, signal) {
+            const controller = new AbortController();
+            let timedOut = false;
+
+            const timer = this.timeout > 0
+                ? setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, this.timeout)
+                : null;
+            const onAbort = () => controller.abort();
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            try {
+                let response;
+                try {
+                    response = await this.fetchImpl(url, { ...init, signal: controller.signal });
+                } catch (error) {
+                    if (timedOut) {
+                        throw new XianDexError(`Request timed out after ${this.timeout}ms`, { kind: 'timeout', cause: error });
+                    }
+                    if (signal && signal.aborted) {
+                        throw abortedError();
+                    }
+                    throw new XianDexError(`Network error: ${error.message}`, { kind: 'network', cause: error });
+                }
+
+                if (!response.ok) {
+                    throw new XianDexError(`HTTP error! status: ${response.status}`, { kind: 'http', status: response.status });
+                }
+
+                return await response.json();
+            } finally {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        }
+
+        // Run a GraphQL query document with its variables and return the parsed JSON response.
+        // Inputs always travel as variables so they can never change the query itself.
+        // Responses carrying GraphQL `errors` reject with a XianDexError of kind 'graphql'.
+        async query(query, variables = {}, options = {}) {
+            const json = await this.request(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ query, variables })
+            }, options);
+
+            if (json.errors && json.errors.length > 0) {
+                const message = json.errors.map(error => error.message).join('; ');
+                throw new XianDexError(`GraphQL error: ${message}`, { kind: 'graphql', errors: json.errors });
+            }
+
+            return json;
+        }
+
+        // Fetch every pair with its current price, 24h price change and 24h volume.
+        // volume24h0/volume24h1 are the amounts of token0/token1 swapped in the last
+        // 24h; volume24h is token1's (the quote token). Pass { inverted: true } to get
+        // prices as token0 per token1.
+        //
+        // Prices take two bounded lookups per pair: its latest swap and, when that is
+        // inside the 24h window, its last swap before the window. Volume is summed
+        // from the window's swaps page by page, or read from the external volume API
+        // when those can't be read.
+        async fetchAllPairs(options = {}) {
+            const inverted = !!options.inverted;
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+            const data = await this.query(PAIRS_QUERY, { contract: this.pairsContract }, { signal: options.signal });
+
+            if (!data.data?.pairs?.edges) {
+                throw new Error('Unexpected API response structure: missing pairs data');
+            }
+
+            const pairs = data.data.pairs.edges.map(edge => {
+                const dataIndexed = parseJsonField(edge.node.dataIndexed);
+                const pairData = parseJsonField(edge.node.data);
+
+                return {
+                    id: pairData.pair,
+                    token0: dataIndexed.token0,
+                    token1: dataIndexed.token1,
+                    volume24h: 0,
+                    volume24h0: 0,
+                    volume24h1: 0,
+                    currentPrice: null,
+                    priceChange: null
+                };
+            });
+
+            // A failed lookup leaves that pair without a price instead of failing the list
+            await mapWithConcurrency(pairs, this.concurrency, async pair => {
+                try {
+                    const latest = await this.fetchLatestSwap(pair.id, { signal: options.signal });
+                    if (!latest) return;
+                    pair.currentPrice = calculatePrice(latest.indexed, latest.data, inverted);
+
+                    // Without a swap in the window the price hasn't moved
+                    const reference = latest.timestamp > since
+                        ? await this.fetchLatestSwap(pair.id, { before: since.toISOString(), signal: options.signal })
+                        : latest;
+                    const referencePrice = reference ? calculatePrice(reference.indexed, reference.data, inverted) : null;
+
+                    if (pair.currentPrice !== null && !isNaN(pair.currentPrice) &&
+                        referencePrice !== null && !isNaN(referencePrice) && referencePrice > 0) {
+                        pair.priceChange = ((pair.currentPrice - referencePrice) / referencePrice) * 100;
+                    }
+                } catch (error) {
+                    if (error.kind === 'aborted') throw error;
+                    console.error(`Error fetching prices for pair ${pair.id}:`, error);
+                }
+            });
+
+            // Pairs without a price 24h ago, e.g. created since, show no change
+            for (const pair of pairs) {
+                if (pair.priceChange === null) {
+                    pair.priceChange = 0;
+                }
+            }
+
+            try {
+                await this.sumVolume24h(pairs, since.toISOString(), options);
+            } catch (error) {
+                if (error.kind === 'aborted' || !this.volumeApiUrl) throw error;
+                console.warn(`Couldn't read the last 24h of swaps (${error.message}), using the volume API`);
+                pairs.forEach(pair => {
+                    pair.volume24h = 0;
+                    pair.volume24h0 = 0;
+                    pair.volume24h1 = 0;
+                });
+                await mapWithConcurrency(pairs, this.concurrency, pair => this.fetchPairVolume24h(pair, { signal: options.signal }));
+            }
+
+            return pairs;
+        }
+
+        // Add up each pair's swapped amounts since a timestamp, reading the swaps of
+        // all pairs in pages of `pageSize` (default 1000)
+        async sumVolume24h(pairs, since, options = {}) {
+            const pairsMap = new Map(pairs.map(pair => [String(pair.id), pair]));
+            let after = null;
+
+            do {
+                const data = await this.query(SWAP_EVENTS_QUERY, {
+                    contract: this.pairsContract,
+                    filter: { created: { greaterThan: since } },
+                    first: options.pageSize || 1000,
+                    after
+                }, { signal: options.signal });
+
+                if (!data.data?.allEvents?.edges) {
+                    throw new Error('Unexpected API response structure: missing swap events');
+                }
+
+                for (const edge of data.data.allEvents.edges) {
+                    const pair = pairsMap.get(String(parseJsonField(edge.node.dataIndexed).pair));
+                    if (!pair) continue;
+
+                    const swapData = parseJsonField(edge.node.data);
+                    pair.volume24h0 += (parseFloat(swapData.amount0In) || 0) + (parseFloat(swapData.amount0Out) || 0);
+                    pair.volume24h1 += (parseFloat(swapData.amount1In) || 0) + (parseFloat(swapData.amount1Out) || 0);
+                    pair.volume24h = pair.volume24h1;
+                }
+
+                const pageInfo = data.data.allEvents.pageInfo;
+                after = pageInfo && pageInfo.hasNextPage ? pageInfo.endCursor : null;
+            } while (after);
+        }
+
+        // Most recent swap of a pair as a normalized trade, or null if it never traded.
+        // Pass a timestamp as `before` for the last swap at or before it.
+        async fetchLatestSwap(pairId, options = {}) {
+            const filter = { dataIndexed: { contains: { pair: String(pairId) } } };
+            if (options.before) {
+                filter.created = { lessThanOrEqualTo: options.before };
+            }
+
+            const data = await this.query(LATEST_SWAP_QUERY, {
+                contract: this.pairsContract,
+                filter
+            }, { signal: options.signal });
+
+            const edge = data.data?.allEvents?.edges?.[0];
+            return edge ? normalizeSwapNode(edge.node) : null;
+        }
+
+        // Fill the pair's 24h volume from the external volume API
+        async fetchPairVolume24h(pair, options = {}) {
+            try {
+                // Make two requests, one for each token in the pair
+                const [volume0Data, volume1Data] = await Promise.all([
+                    this.request(`${this.volumeApiUrl}/pairs/${pair.id}/volume24h?token=0`, {
+                        headers: { 'accept': 'application/json' }
+                    }, options),
+                    this.request(`${this.volumeApiUrl}/pairs/${pair.id}/volume24h?token=1`, {
+                        headers: { 'accept': 'application/json' }
+                    }, options)
+                ]);
+
+                if (volume0Data && typeof volume0Data.volume24h === 'number') {
+                    pair.volume24h0 = volume0Data.volume24h;
+                }
+                if (volume1Data && typeof volume1Data.volume24h === 'number') {
+                    pair.volume24h1 = volume1Data.volume24h;
+                    pair.volume24h = volume1Data.volume24h;
+                }
+            } catch (error) {
+                if (error.kind === 'aborted') throw error;
+                console.error(`Error fetching volume for pair ${pair.id}:`, error);
+            }
+        }
+
+        // Fetch symbol and logo for the given token contracts.
+        // Returns a Map of contract -> { contract, symbol, logo }.
+        async fetchTokensMetadata(tokenContracts, options = {}) {
+            const metadata = new Map();
+            if (tokenContracts.length === 0) return metadata;
+
+            // Only well-formed contract names are looked up, anything else keeps its raw name
+            const validContracts = tokenContracts.filter(token => {
+                if (isValidContractName(token)) return true;
+                console.warn(`Skipping metadata lookup for invalid contract name: ${token}`);
+                return false;
+            });
+
+            const keys = [];
+            validContracts.forEach(token => {
+                keys.push(`${token}.metadata:token_symbol`, `${token}.metadata:token_logo_url`);
+            });
+
+            const values = new Map();
+            if (keys.length > 0) {
+                const data = await this.query(TOKENS_METADATA_QUERY, { keys }, { signal: options.signal });
+
+                if (!data.data?.allStates?.nodes) {
+                    throw new Error('Unexpected API response structure: missing token metadata');
+                }
+
+                data.data.allStates.nodes.forEach(node => values.set(node.key, node.value));
+            }
+
+            tokenContracts.forEach(token => {
+                const symbol = values.get(`${token}.metadata:token_symbol`) || token;
+                const logo = values.get(`${token}.metadata:token_logo_url`) || null;
+
+                metadata.set(token, {
+                    contract: token,
+                    symbol: typeof symbol === 'string' ? symbol : JSON.stringify(symbol),
+                    logo: logo
+                });
+            });
+
+            return metadata;
+        }
+
+        // Current reserves of a pair from the pairs contract state.
+        // Returns { reserve0, reserve1 }.
+        async fetchPairReserves(pairId, options = {}) {
+            const reserves = await this.fetchPairsReserves([pairId], options);
+            if (!reserves.has(pairId)) {
+                throw new Error(`No reserves found for pair ${pairId}`);
+            }
+            return reserves.get(pairId);
+        }
+
+        // Current reserves of several pairs in one request, as a Map of
+        // pair id -> { reserve0, reserve1 }. Pairs without both reserves are left out.
+        async fetchPairsReserves(pairIds, options = {}) {
+            const prefix = pairId => `${this.pairsContract}.pairs:${pairId}`;
+            const keys = pairIds.flatMap(pairId => [`${prefix(pairId)}:reserve0`, `${prefix(pairId)}:reserve1`]);
+
+            const data = await this.query(PAIR_RESERVES_QUERY, { keys }, { signal: options.signal });
+            if (!data.data?.allStates?.nodes) {
+                throw new Error('Unexpected API response structure: missing pair reserves');
+            }
+
+            const values = new Map(data.data.allStates.nodes.map(node => [node.key, parseStateNumber(node.value)]));
+            const reserves = new Map();
+            pairIds.forEach(pairId => {
+                const reserve0 = values.get(`${prefix(pairId)}:reserve0`);
+                const reserve1 = values.get(`${prefix(pairId)}:reserve1`);
+                if (reserve0 != null && reserve1 != null) {
+                    reserves.set(pairId, { reserve0, reserve1 });
+                }
+            });
+            return reserves;
+        }
+
+        // One page of a pair's reserve changes, newest first. Pass the endCursor of
+        // the previous page as `after` to continue further back. Returns
+        // { changes: [{ id, reserve: 0 | 1, value, timestamp }], pageInfo }.
+        async fetchReserveChanges(pairId, options = {}) {
+            const prefix = `${this.pairsContract}.pairs:${pairId}`;
+            const keys = [`${prefix}:reserve0`, `${prefix}:reserve1`];
+
+            const data = await this.query(STATE_CHANGES_QUERY, {
+                keys,
+                first: options.first || 1000,
+                after: options.after || null
+            }, { signal: options.signal });
+
+            if (!data.data?.allStateChanges?.edges) {
+                throw new Error('Unexpected API response structure: missing state changes');
+            }
+
+            const changes = data.data.allStateChanges.edges
+                .map(edge => ({
+                    id: edge.node.id,
+                    reserve: edge.node.key === keys[0] ? 0 : 1,
+                    value: parseStateNumber(edge.node.valueNumeric),
+                    timestamp: new Date(edge.node.created + 'Z') // Ensure treating as UTC
+                }))
+                .filter(change => change.value !== null);
+
+            return {
+                changes,
+                pageInfo: data.data.allStateChanges.pageInfo || { hasNextPage: false, endCursor: null }
+            };
+        }
+
+        // Fetch one page of swaps for a pair, newest first.
+        // Pass the endCursor of the previous page as `after` to continue further back,
+        // and a database timestamp string as `before` to only get swaps older than it.
+        // Returns { trades, pageInfo: { hasNextPage, endCursor } }.
+        async fetchSwapEvents(pairId, options = {}) {
+            const filter = { dataIndexed: { contains: { pair: String(pairId) } } };
+            if (options.before) {
+                filter.created = { lessThan: options.before };
+            }
+
+            const data = await this.query(SWAP_EVENTS_QUERY, {
+                contract: this.pairsContract,
+                filter,
+                first: options.first || 1000,
+                after: options.after || null
+            }, { signal: options.signal });
+
+            if (!data.data?.allEvents?.edges) {
+                throw new Error('Unexpected API response structure: missing swap events');
+            }
+
+            return {
+                trades: data.data.allEvents.edges.map(edge => normalizeSwapNode(edge.node)),
+                pageInfo: data.data.allEvents.pageInfo || { hasNextPage: false, endCursor: null }
+            };
+        }
+
+        // Fetch swaps for a pair created after the given database timestamp string, oldest first
+        async fetchNewTrades(pairId, sinceTime, options = {}) {
+            const data = await this.query(NEW_SWAP_EVENTS_QUERY, {
+                contract: this.pairsContract,
+                filter: {
+                    dataIndexed: { contains: { pair: String(pairId) } },
+                    created: { greaterThan: sinceTime }
+                }
+            }, { signal: options.signal });
+
+            if (!data.data?.allEvents?.edges) {
+                return [];
+            }
+
+            return data.data.allEvents.edges.map(edge => normalizeSwapNode(edge.node));
+        }
+
+        // Fetch the most recent swaps of a pair and aggregate them into candles.
+        // Accepts the processSwapEvents options plus `pages` and `pageSize`.
+        // Returns { trades, candles, volumes }.
+        async fetchCandles(pairId, options = {}) {
+            const pages = options.pages || 1;
+            const trades = [];
+            let after = null;
+
+            for (let page = 0; page < pages; page++) {
+                const result = await this.fetchSwapEvents(pairId, { first: options.pageSize, after, signal: options.signal });
+                trades.push(...result.trades);
+
+                if (!result.pageInfo.hasNextPage) break;
+                after = result.pageInfo.endCursor;
+            }
+
+            const { candles, volumes } = processSwapEvents([...trades], options);
+            return { trades, candles, volumes };
+        }
+    }
+
+    return {
+        XianDexClient,
+        XianDexError,
+        CandleAggregator,
+        QUERIES: {
+            PAIRS: PAIRS_QUERY,
+            LATEST_SWAP: LATEST_SWAP_QUERY,
+            TOKENS_METADATA: TOKENS_METADATA_QUERY,
+            PAIR_RESERVES: PAIR_RESERVES_QUERY,
+            STATE_CHANGES: STATE_CHANGES_QUERY,
+            SWAP_EVENTS: SWAP_EVENTS_QUERY,
+            NEW_SWAP_EVENTS: NEW_SWAP_EVENTS_QUERY
+        },
+        isValidContractName,
+        NETWORKS,
+        DEFAULT_GRAPHQL_ENDPOINT,
+        normalizeSwapNode,
+        calculatePrice,
+        determineTradeType,
+        parseStateNumber,
+        reserveHistory,
+        calculateDepth,
+        calculateSwap,
+        SWAP_FEE,
+        parseTimeframe,
+        FILL_MODES,
+        OPEN_MODES,
+        isWhitespace,
+        processSwapEvents,
+        heikinAshi,
+        renko,
+        defaultRenkoBoxSize,
+        minRenkoBoxSize,
+        MAX_RENKO_BRICKS,
+        findRoute,
+        syntheticTrades,
+        tradePrices,
+        priceAt,
+        routeRate,
+        convertCandles
+    };
+}));
@@ -0,0 +1,566 @@
+// Drawing tools
+//
+// Trend lines, horizontal levels, rectangles, Fibonacci retracements and text
+// notes drawn in an SVG layer over the price pane. Drawings are anchored to
+// { time, price } points rather than pixels, so they follow zooming and scrolling
+// and survive timeframe changes. Prices are stored un-inverted (token0 in token1),
+// reciprocated for display while the pair is inverted and re-quoted at the rate of
+// their own time when the chart shows another currency such as USD.
+//
+// The host passes callbacks so the tools never reach into ChartController:
+//   getSeries()           - the series drawn on the price pane
+//   getCandles()          - the bars currently on that series, oldest first
+//   getIntervalSeconds()  - the timeframe, used to place points beyond the data
+//   isInverted()          - whether displayed prices are reciprocated
+//   getQuoteRate(time)    - optional, displayed units per quote token at a time in
+//                           seconds (the USD rate in USD mode), null when unknown
+//   getPairLabel()        - names the export file
+//   onChange(drawings)    - called after every add, remove or import
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DrawingTools = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const FIB_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+    // Number of points each tool needs before the drawing is complete
+    const TOOLS = {
+        trendline: { name: 'Trend line', label: '╱', points: 2 },
+        hline: { name: 'Horizontal level', label: '─', points: 1 },
+        rect: { name: 'Rectangle', label: '▭', points: 2 },
+        fib: { name: 'Fibonacci retracement', label: 'Fib', points: 2 },
+        text: { name: 'Text note', label: 'T', points: 1 }
+    };
+
+    const EXPORT_VERSION = 1;
+
+    function isFiniteNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    // Keep only well-formed drawings, e.g. from an imported file
+    function sanitizeDrawings(drawings) {
+        if (!Array.isArray(drawings)) return [];
+
+        return drawings.filter(drawing => {
+            const tool = drawing && TOOLS[drawing.type];
+            return tool &&
+                Array.isArray(drawing.points) &&
+                drawing.points.length === tool.points &&
+                drawing.points.every(point => isFiniteNumber(point.time) && isFiniteNumber(point.price) && point.price > 0);
+        }).map(drawing => ({
+            id: String(drawing.id || `${drawing.type}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`),
+            type: drawing.type,
+            points: drawing.points.map(point => ({ time: point.time, price: point.price })),
+            color: typeof drawing.color === 'string' && /^#[0-9a-fA-F]{6}$/.test(drawing.color) ? drawing.color : null,
+            text: typeof drawing.text === 'string' ? drawing.text.slice(0, 500) : undefined
+        }));
+    }
+
+    class DrawingTools {
+        constructor(chart, container, host) {
+            this.chart = chart;
+            this.container = container;
+            this.host = host;
+
+            this.drawings = [];
+            this.activeTool = null; // Tool currently placing points
+            this.pendingPoints = []; // Points placed so far for the active tool
+            this.previewPoint = null; // Pointer position while placing
+            this.selectedId = null;
+            this.frameRequested = false;
+
+            this.createLayer();
+            this.createToolbar();
+            this.bindEvents();
+        }
+
+        createLayer() {
+            this.svg = document.createElementNS(SVG_NS, 'svg');
+            this.svg.style.position = 'absolute';
+            this.svg.style.top = '0';
+            this.svg.style.left = '0';
+            this.svg.style.zIndex = '2';
+            this.svg.style.pointerEvents = 'none';
+            this.svg.style.overflow = 'hidden';
+            this.container.appendChild(this.svg);
+        }
+
+        createToolbar() {
+            // Laid out by the .drawing-toolbar rules in index.html
+            this.toolbar = document.createElement('div');
+            this.toolbar.className = 'drawing-toolbar';
+
+            this.toolButtons = new Map();
+
+            Object.entries(TOOLS).forEach(([type, tool]) => {
+                const button = this.createToolbarButton(tool.label, tool.name, () => this.selectTool(type));
+                this.toolButtons.set(type, button);
+                this.toolbar.appendChild(button);
+            });
+
+            this.toolbar.appendChild(this.createToolbarButton('⌫', 'Delete selected drawing (Del)', () => this.removeSelected()));
+            this.toolbar.appendChild(this.createToolbarButton('✕', 'Clear all drawings on this pair', () => {
+                if (this.drawings.length > 0 && window.confirm('Remove all drawings on this pair?')) {
+                    this.setDrawings([]);
+                    this.notifyChange();
+                }
+            }));
+            this.toolbar.appendChild(this.createToolbarButton('⇩', 'Export drawings', () => this.exportDrawings()));
+            this.toolbar.appendChild(this.createToolbarButton('⇧', 'Import drawings', () => this.fileInput.click()));
+
+            this.fileInput = document.createElement('input');
+            this.fileInput.type = 'file';
+            this.fileInput.accept = 'application/json,.json';
+            this.fileInput.style.display = 'none';
+            this.fileInput.addEventListener('change', () => {
+                const file = this.fileInput.files[0];
+                if (file) this.importDrawings(file);
+                this.fileInput.value = '';
+            });
+            this.toolbar.appendChild(this.fileInput);
+
+            this.container.appendChild(this.toolbar);
+        }
+
+        createToolbarButton(label, title, onClick) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', event => {
+                event.stopPropagation();
+                onClick();
+            });
+
+            return button;
+        }
+
+        bindEvents() {
+            const timeScale = this.chart.timeScale();
+            timeScale.subscribeVisibleLogicalRangeChange(() => this.render());
+            timeScale.subscribeSizeChange(() => this.render());
+
+            // Dragging the price scale has no event of its own but always moves the crosshair
+            this.chart.subscribeCrosshairMove(() => this.render());
+
+            this.svg.addEventListener('mousemove', event => {
+                if (!this.activeTool) return;
+                this.previewPoint = this.pointFromEvent(event);
+                this.render();
+            });
+
+            this.svg.addEventListener('click', event => {
+                if (!this.activeTool) return;
+
+                const point = this.pointFromEvent(event);
+                if (!point) return;
+
+                this.pendingPoints.push(point);
+                if (this.pendingPoints.length >= TOOLS[this.activeTool].points) {
+                    this.completeDrawing();
+                } else {
+                    this.render();
+                }
+            });
+
+            document.addEventListener('keydown', event => {
+                const target = event.target;
+                if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT')) {
+                    return;
+                }
+
+                if (event.key === 'Escape') {
+                    this.selectTool(null);
+                    this.selectDrawing(null);
+                } else if ((event.key === 'Delete' || event.key === 'Backspace') && this.selectedId) {
+                    event.preventDefault();
+                    this.removeSelected();
+                }
+            });
+        }
+
+        // Toggle a tool; selecting the active tool again (or null) cancels it
+        selectTool(type) {
+            this.activeTool = type && type !== this.activeTool ? type : null;
+            this.pendingPoints = [];
+            this.previewPoint = null;
+
+            // Capture clicks only while placing points, otherwise the chart keeps panning
+            this.svg.style.pointerEvents = this.activeTool ? 'all' : 'none';
+            this.svg.style.cursor = this.activeTool ? 'crosshair' : '';
+
+            this.toolButtons.forEach((button, toolType) => {
+                button.classList.toggle('active', toolType === this.activeTool);
+            });
+
+            this.render();
+        }
+
+        completeDrawing() {
+            const drawing = {
+                id: `${this.activeTool}-${Date.now()}`,
+                type: this.activeTool,
+                points: this.pendingPoints,
+                color: null
+            };
+
+            if (drawing.type === 'text') {
+                const text = window.prompt('Note text');
+                if (!text) {
+                    this.selectTool(null);
+                    return;
+                }
+                drawing.text = text.slice(0, 500);
+            }
+
+            this.drawings.push(drawing);
+            this.selectTool(null);
+            this.notifyChange();
+        }
+
+        selectDrawing(id) {
+            this.selectedId = id;
+            this.render();
+        }
+
+        removeSelected() {
+            if (!this.selectedId) return;
+
+            this.drawings = this.drawings.filter(drawing => drawing.id !== this.selectedId);
+            this.selectedId = null;
+            this.render();
+            this.notifyChange();
+        }
+
+        // Replace the drawings, e.g. when another pair is selected
+        setDrawings(drawings) {
+            this.drawings = sanitizeDrawings(drawings);
+            this.selectedId = null;
+            this.selectTool(null);
+        }
+
+        getDrawings() {
+            return this.drawings.map(drawing => ({ ...drawing, points: drawing.points.map(point => ({ ...point })) }));
+        }
+
+        notifyChange() {
+            if (this.host.onChange) {
+                this.host.onChange(this.getDrawings());
+            }
+        }
+
+        exportDrawings() {
+            const payload = {
+                version: EXPORT_VERSION,
+                pair: this.host.getPairLabel ? this.host.getPairLabel() : null,
+                exported: new Date().toISOString(),
+                drawings: this.getDrawings()
+            };
+
+            const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `drawings-${payload.pair || 'pair'}.json`.replace(/[^\w.-]+/g, '_');
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        }
+
+        // Add the drawings from an exported file to the current pair
+        async importDrawings(file) {
+            try {
+                const payload = JSON.parse(await file.text());
+                const imported = sanitizeDrawings(Array.isArray(payload) ? payload : payload.drawings);
+
+                if (imported.length === 0) {
+                    window.alert('No drawings found in this file.');
+                    return;
+                }
+
+                const existingIds = new Set(this.drawings.map(drawing => drawing.id));
+                imported.forEach(drawing => {
+                    if (!existingIds.has(drawing.id)) {
+                        this.drawings.push(drawing);
+                    }
+                });
+
+                this.render();
+                this.notifyChange();
+                console.log(`✏️ Imported ${imported.length} drawings`);
+            } catch (err) {
+                console.error('Error importing drawings:', err);
+                window.alert('Could not read the drawings file.');
+            }
+        }
+
+        // Displayed units per quote token at `time`, null when there is no rate
+        quoteRate(time) {
+            const rate = this.host.getQuoteRate ? this.host.getQuoteRate(time) : 1;
+            return rate > 0 ? rate : null;
+        }
+
+        // Stored prices are un-inverted, the chart shows reciprocals while inverted
+        // and multiplies by the quote rate. Null when the rate is unknown.
+        toDisplayPrice(price, time) {
+            const rate = this.quoteRate(time);
+            if (rate === null) return null;
+            return (this.host.isInverted() ? 1 / price : price) * rate;
+        }
+
+        fromDisplayPrice(price, time) {
+            const rate = this.quoteRate(time);
+            if (rate === null) return null;
+            const quotePrice = price / rate;
+            return this.host.isInverted() ? 1 / quotePrice : quotePrice;
+        }
+
+        // Fractional bar index of a timestamp. Times between bars are interpolated,
+        // times outside the data are extrapolated by the timeframe interval.
+        timeToLogical(time) {
+            const candles = this.host.getCandles();
+            if (candles.length === 0) return null;
+
+            const interval = this.host.getIntervalSeconds();
+            const first = candles[0].time;
+            const lastIndex = candles.length - 1;
+            const last = candles[lastIndex].time;
+
+            if (time <= first) return (time - first) / interval;
+            if (time >= last) return lastIndex + (time - last) / interval;
+
+            let low = 0;
+            let high = lastIndex;
+            while (high - low > 1) {
+                const mid = (low + high) >> 1;
+                if (candles[mid].time <= time) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+
+            const span = candles[high].time - candles[low].time;
+            return low + (span > 0 ? (time - candles[low].time) / span : 0);
+        }
+
+        logicalToTime(logical) {
+            const candles = this.host.getCandles();
+            if (candles.length === 0) return null;
+
+            const interval = this.host.getIntervalSeconds();
+            const lastIndex = candles.length - 1;
+
+            if (logical <= 0) return candles[0].time + logical * interval;
+            if (logical >= lastIndex) return candles[lastIndex].time + (logical - lastIndex) * interval;
+
+            const low = Math.floor(logical);
+            const fraction = logical - low;
+            return candles[low].time + (candles[low + 1].time - candles[low].time) * fraction;
+        }
+
+        pointToCoordinates(point) {
+            const series = this.host.getSeries();
+            const logical = this.timeToLogical(point.time);
+            if (!series || logical === null) return null;
+
+            const displayPrice = this.toDisplayPrice(point.price, point.time);
+            if (displayPrice === null) return null;
+
+            const x = this.chart.timeScale().logicalToCoordinate(logical);
+            const y = series.priceToCoordinate(displayPrice);
+            if (x === null || y === null) return null;
+
+            return { x, y };
+        }
+
+        pointFromEvent(event) {
+            const series = this.host.getSeries();
+            if (!series) return null;
+
+            const rect = this.svg.getBoundingClientRect();
+            const x = event.clientX - rect.left;
+            const y = event.clientY - rect.top;
+
+            const logical = this.chart.timeScale().coordinateToLogical(x);
+            const displayPrice = series.coordinateToPrice(y);
+            if (logical === null || displayPrice === null || displayPrice <= 0) return null;
+
+            const time = Math.round(this.logicalToTime(logical));
+            const price = this.fromDisplayPrice(displayPrice, time);
+            if (price === null) return null;
+
+            return { time, price };
+        }
+
+        formatPrice(price) {
+            return price >= 1 ? price.toFixed(4) : price.toPrecision(4);
+        }
+
+        createElement(tag, attributes) {
+            const element = document.createElementNS(SVG_NS, tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            return element;
+        }
+
+        // Redraw on the next frame, after the chart has applied its own updates
+        render() {
+            if (this.frameRequested) return;
+            this.frameRequested = true;
+
+            requestAnimationFrame(() => {
+                this.frameRequested = false;
+                this.draw();
+            });
+        }
+
+        // Redraw every drawing at the current zoom level
+        draw() {
+            const series = this.host.getSeries();
+            const pane = this.chart.panes()[0];
+            if (!series || !pane) return;
+
+            // Cover the price pane only, not the price scale or the panes below
+            const width = this.chart.timeScale().width();
+            const height = pane.getHeight();
+            this.svg.setAttribute('width', width);
+            this.svg.setAttribute('height', height);
+            this.svg.style.width = `${width}px`;
+            this.svg.style.height = `${height}px`;
+
+            while (this.svg.firstChild) {
+                this.svg.removeChild(this.svg.firstChild);
+            }
+
+            const accent = getComputedStyle(document.body).getPropertyValue('--primary-accent').trim() || '#00ffff';
+
+            this.drawings.forEach(drawing => {
+                this.renderDrawing(drawing, drawing.color || accent, width, drawing.id === this.selectedId);
+            });
+
+            // Preview of the drawing being placed
+            if (this.activeTool && this.pendingPoints.length > 0 && this.previewPoint) {
+                this.renderDrawing({
+                    id: null,
+                    type: this.activeTool,
+                    points: [...this.pendingPoints, this.previewPoint]
+                }, accent, width, true);
+            }
+        }
+
+        renderDrawing(drawing, color, width, selected) {
+            const coordinates = drawing.points.map(point => this.pointToCoordinates(point));
+            if (coordinates.some(coordinate => coordinate === null)) return;
+
+            const group = this.createElement('g', {});
+            const strokeDasharray = selected ? '6 3' : 'none';
+
+            // Wide invisible stroke to make thin lines easy to click
+            const addLine = (x1, y1, x2, y2, extra = {}) => {
+                group.appendChild(this.createElement('line', {
+                    x1, y1, x2, y2,
+                    stroke: color,
+                    'stroke-width': selected ? 2 : 1.5,
+                    'stroke-dasharray': strokeDasharray,
+                    ...extra
+                }));
+                group.appendChild(this.createElement('line', {
+                    x1, y1, x2, y2,
+                    stroke: 'transparent',
+                    'stroke-width': 10,
+                    'pointer-events': 'stroke'
+                }));
+            };
+
+            const addLabel = (x, y, text, anchor = 'start') => {
+                const label = this.createElement('text', {
+                    x, y,
+                    fill: color,
+                    'font-size': 11,
+                    'font-family': "'Inter', 'Roboto', sans-serif",
+                    'text-anchor': anchor,
+                    'pointer-events': 'all'
+                });
+                label.textContent = text;
+                group.appendChild(label);
+            };
+
+            const [a, b] = coordinates;
+
+            switch (drawing.type) {
+                case 'trendline':
+                    addLine(a.x, a.y, b.x, b.y);
+                    break;
+
+                case 'hline':
+                    addLine(0, a.y, width, a.y);
+                    addLabel(width - 4, a.y - 4, this.formatPrice(this.toDisplayPrice(drawing.points[0].price, drawing.points[0].time)), 'end');
+                    break;
+
+                case 'rect': {
+                    const rect = this.createElement('rect', {
+                        x: Math.min(a.x, b.x),
+                        y: Math.min(a.y, b.y),
+                        width: Math.abs(b.x - a.x),
+                        height: Math.abs(b.y - a.y),
+                        fill: color,
+                        'fill-opacity': 0.12,
+                        stroke: color,
+                        'stroke-width': selected ? 2 : 1,
+                        'stroke-dasharray': strokeDasharray,
+                        'pointer-events': 'all'
+                    });
+                    group.appendChild(rect);
+                    break;
+                }
+
+                case 'fib': {
+                    // Levels are spaced in displayed prices, so they stay correct when inverted
+                    const startPrice = this.toDisplayPrice(drawing.points[0].price, drawing.points[0].time);
+                    const endPrice = this.toDisplayPrice(drawing.points[1].price, drawing.points[1].time);
+                    const series = this.host.getSeries();
+                    const left = Math.min(a.x, b.x);
+                    const right = Math.max(a.x, b.x);
+
+                    addLine(a.x, a.y, b.x, b.y, { 'stroke-opacity': 0.4 });
+
+                    FIB_LEVELS.forEach(level => {
+                        const price = endPrice + (startPrice - endPrice) * level;
+                        const y = series.priceToCoordinate(price);
+                        if (y === null) return;
+
+                        addLine(left, y, right, y, { 'stroke-opacity': level === 0 || level === 1 ? 1 : 0.7 });
+                        addLabel(left + 4, y - 3, `${(level * 100).toFixed(1)}%  ${this.formatPrice(price)}`);
+                    });
+                    break;
+                }
+
+                case 'text':
+                    addLabel(a.x, a.y, drawing.text || '');
+                    group.lastChild.setAttribute('font-size', 13);
+                    break;
+            }
+
+            // Clicking an existing drawing selects it, Delete removes it
+            if (drawing.id) {
+                group.style.cursor = 'pointer';
+                group.addEventListener('click', event => {
+                    if (this.activeTool) return;
+                    event.stopPropagation();
+                    this.selectDrawing(drawing.id === this.selectedId ? null : drawing.id);
+                });
+            }
+
+            this.svg.appendChild(group);
+        }
+    }
+
+    DrawingTools.TOOLS = TOOLS;
+    DrawingTools.sanitizeDrawings = sanitizeDrawings;
+
+    return DrawingTools;
+}));
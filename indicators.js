@@ -0,0 +1,335 @@
+// Technical indicators
+//
+// Pure functions over the { time, open, high, low, close } candles produced by
+// processSwapEvents, so they work in the browser (as the XianIndicators global)
+// and in Node. Every line is returned as [{ time, value }] ready for a line series;
+// bars without enough history to compute a value are left out.
+//
+// Overlays share the price pane, oscillators get a pane of their own.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.XianIndicators = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Overlay indicators drawn on the price pane. `params` lists the configurable
+    // inputs with their defaults, `lines` the series each indicator draws.
+    const OVERLAY_TYPES = {
+        sma: {
+            name: 'SMA',
+            params: { period: 20 },
+            lines: ['value']
+        },
+        ema: {
+            name: 'EMA',
+            params: { period: 20 },
+            lines: ['value']
+        },
+        wma: {
+            name: 'WMA',
+            params: { period: 20 },
+            lines: ['value']
+        },
+        vwap: {
+            name: 'VWAP',
+            params: { period: 20 },
+            lines: ['value']
+        },
+        bollinger: {
+            name: 'Bollinger Bands',
+            params: { period: 20, stdDev: 2 },
+            lines: ['upper', 'middle', 'lower']
+        }
+    };
+
+    // Oscillators drawn in their own pane below volume. `levels` names the params
+    // (or fixed values) drawn as horizontal reference lines.
+    const OSCILLATOR_TYPES = {
+        rsi: {
+            name: 'RSI',
+            params: { period: 14, overbought: 70, oversold: 30 },
+            lines: ['value'],
+            levels: ['overbought', 'oversold']
+        },
+        macd: {
+            name: 'MACD',
+            params: { fast: 12, slow: 26, signal: 9 },
+            lines: ['macd', 'signal', 'histogram'],
+            levels: [0]
+        },
+        stochastic: {
+            name: 'Stochastic',
+            params: { kPeriod: 14, smooth: 3, dPeriod: 3, overbought: 80, oversold: 20 },
+            lines: ['k', 'd'],
+            levels: ['overbought', 'oversold']
+        }
+    };
+
+    function getIndicatorType(type) {
+        return OVERLAY_TYPES[type] || OSCILLATOR_TYPES[type] || null;
+    }
+
+    function isOscillator(type) {
+        return !!OSCILLATOR_TYPES[type];
+    }
+
+    // Simple moving average of a [{ time, value }] series
+    function smaValues(values, period) {
+        const result = [];
+        let sum = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i].value;
+            if (i >= period) {
+                sum -= values[i - period].value;
+            }
+            if (i >= period - 1) {
+                result.push({ time: values[i].time, value: sum / period });
+            }
+        }
+
+        return result;
+    }
+
+    // Exponential moving average of a [{ time, value }] series, seeded with the SMA
+    // of the first `period` values
+    function emaValues(values, period) {
+        const result = [];
+        if (values.length < period) return result;
+
+        const k = 2 / (period + 1);
+        let value = 0;
+
+        for (let i = 0; i < period; i++) {
+            value += values[i].value;
+        }
+        value /= period;
+        result.push({ time: values[period - 1].time, value });
+
+        for (let i = period; i < values.length; i++) {
+            value = values[i].value * k + value * (1 - k);
+            result.push({ time: values[i].time, value });
+        }
+
+        return result;
+    }
+
+    function closes(candles) {
+        return candles.map(candle => ({ time: candle.time, value: candle.close }));
+    }
+
+    function sma(candles, period) {
+        return smaValues(closes(candles), period);
+    }
+
+    function ema(candles, period) {
+        return emaValues(closes(candles), period);
+    }
+
+    // Linearly weighted, the newest close counts `period` times
+    function wma(candles, period) {
+        const result = [];
+        const divisor = period * (period + 1) / 2;
+
+        for (let i = period - 1; i < candles.length; i++) {
+            let sum = 0;
+            for (let j = 0; j < period; j++) {
+                sum += candles[i - j].close * (period - j);
+            }
+            result.push({ time: candles[i].time, value: sum / divisor });
+        }
+
+        return result;
+    }
+
+    // Rolling VWAP over `period` bars using the typical price (H+L+C)/3.
+    // `volumes` are the histogram bars from processSwapEvents, matched by time.
+    // Windows without any volume (only empty intervals) produce no value.
+    function vwap(candles, volumes, period) {
+        const result = [];
+        const volumeByTime = new Map(volumes.map(volume => [volume.time, volume.value]));
+        let priceVolume = 0;
+        let totalVolume = 0;
+
+        const weigh = candle => {
+            const volume = volumeByTime.get(candle.time) || 0;
+            return [(candle.high + candle.low + candle.close) / 3 * volume, volume];
+        };
+
+        for (let i = 0; i < candles.length; i++) {
+            const [pv, v] = weigh(candles[i]);
+            priceVolume += pv;
+            totalVolume += v;
+
+            if (i >= period) {
+                const [oldPv, oldV] = weigh(candles[i - period]);
+                priceVolume -= oldPv;
+                totalVolume -= oldV;
+            }
+
+            if (i >= period - 1 && totalVolume > 0) {
+                result.push({ time: candles[i].time, value: priceVolume / totalVolume });
+            }
+        }
+
+        return result;
+    }
+
+    function bollinger(candles, period, stdDev) {
+        const upper = [];
+        const middle = [];
+        const lower = [];
+
+        for (let i = period - 1; i < candles.length; i++) {
+            let sum = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                sum += candles[j].close;
+            }
+            const mean = sum / period;
+
+            let variance = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                variance += Math.pow(candles[j].close - mean, 2);
+            }
+            const deviation = Math.sqrt(variance / period) * stdDev;
+
+            const time = candles[i].time;
+            upper.push({ time, value: mean + deviation });
+            middle.push({ time, value: mean });
+            lower.push({ time, value: mean - deviation });
+        }
+
+        return { upper, middle, lower };
+    }
+
+    // Wilder's RSI, 0-100
+    function rsi(candles, period) {
+        const result = [];
+        if (candles.length <= period) return result;
+
+        let gain = 0;
+        let loss = 0;
+        for (let i = 1; i <= period; i++) {
+            const change = candles[i].close - candles[i - 1].close;
+            gain += Math.max(change, 0);
+            loss += Math.max(-change, 0);
+        }
+        gain /= period;
+        loss /= period;
+
+        // Flat stretches (empty intervals) have neither gains nor losses
+        const value = () => {
+            if (loss === 0) return gain === 0 ? 50 : 100;
+            return 100 - 100 / (1 + gain / loss);
+        };
+        result.push({ time: candles[period].time, value: value() });
+
+        for (let i = period + 1; i < candles.length; i++) {
+            const change = candles[i].close - candles[i - 1].close;
+            gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+            loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+            result.push({ time: candles[i].time, value: value() });
+        }
+
+        return result;
+    }
+
+    function macd(candles, fast, slow, signal) {
+        const fastEma = new Map(ema(candles, fast).map(point => [point.time, point.value]));
+        const macdLine = ema(candles, slow)
+            .filter(point => fastEma.has(point.time))
+            .map(point => ({ time: point.time, value: fastEma.get(point.time) - point.value }));
+
+        const signalLine = emaValues(macdLine, signal);
+        const macdByTime = new Map(macdLine.map(point => [point.time, point.value]));
+        const histogram = signalLine.map(point => ({
+            time: point.time,
+            value: macdByTime.get(point.time) - point.value
+        }));
+
+        return { macd: macdLine, signal: signalLine, histogram };
+    }
+
+    // Slow stochastic: %K over kPeriod smoothed by `smooth`, %D its dPeriod average
+    function stochastic(candles, kPeriod, smooth, dPeriod) {
+        const rawK = [];
+
+        for (let i = kPeriod - 1; i < candles.length; i++) {
+            let highest = -Infinity;
+            let lowest = Infinity;
+            for (let j = i - kPeriod + 1; j <= i; j++) {
+                highest = Math.max(highest, candles[j].high);
+                lowest = Math.min(lowest, candles[j].low);
+            }
+
+            // A flat window has no range, sit in the middle
+            const range = highest - lowest;
+            const value = range > 0 ? (candles[i].close - lowest) / range * 100 : 50;
+            rawK.push({ time: candles[i].time, value });
+        }
+
+        const k = smaValues(rawK, smooth);
+        return { k, d: smaValues(k, dPeriod) };
+    }
+
+    // Compute the lines of one configured indicator, e.g. { type: 'sma', period: 50 }.
+    // Returns an object keyed by the type's line names.
+    function computeIndicator(config, candles, volumes = []) {
+        const definition = getIndicatorType(config.type);
+        if (!definition) {
+            throw new Error(`Unknown indicator type: ${config.type}`);
+        }
+
+        const params = { ...definition.params, ...config };
+        const int = value => Math.max(1, Math.floor(value));
+
+        // Whitespace bars ({ time } only) mark gaps without trades
+        candles = candles.filter(candle => candle.close !== undefined);
+
+        switch (config.type) {
+            case 'sma':
+                return { value: sma(candles, int(params.period)) };
+            case 'ema':
+                return { value: ema(candles, int(params.period)) };
+            case 'wma':
+                return { value: wma(candles, int(params.period)) };
+            case 'vwap':
+                return { value: vwap(candles, volumes, int(params.period)) };
+            case 'bollinger':
+                return bollinger(candles, int(params.period), params.stdDev);
+            case 'rsi':
+                return { value: rsi(candles, int(params.period)) };
+            case 'macd':
+                return macd(candles, int(params.fast), int(params.slow), int(params.signal));
+            case 'stochastic':
+                return stochastic(candles, int(params.kPeriod), int(params.smooth), int(params.dPeriod));
+        }
+    }
+
+    // Reference line prices for an oscillator config, e.g. [70, 30] for a default RSI
+    function getIndicatorLevels(config) {
+        const definition = getIndicatorType(config.type);
+        if (!definition || !definition.levels) return [];
+
+        const params = { ...definition.params, ...config };
+        return definition.levels.map(level => (typeof level === 'number' ? level : params[level]));
+    }
+
+    return {
+        OVERLAY_TYPES,
+        OSCILLATOR_TYPES,
+        getIndicatorType,
+        isOscillator,
+        sma,
+        ema,
+        wma,
+        vwap,
+        bollinger,
+        rsi,
+        macd,
+        stochastic,
+        computeIndicator,
+        getIndicatorLevels
+    };
+}));
@@ -0,0 +1,143 @@
+// Persistent swap cache
+//
+// Stores normalized trades per pair in IndexedDB so the chart can be drawn from
+// disk on load and only newer swaps have to be fetched. Every operation degrades
+// to a no-op when IndexedDB is unavailable (private mode, file:// origins, Node).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TradeCache = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DB_NAME = 'xian-dex-data';
+
+    // Bump whenever the stored trade shape changes. Opening the database with a
+    // higher version drops every existing store, which invalidates stale caches.
+    const SCHEMA_VERSION = 1;
+
+    const TRADES_STORE = 'trades';
+    const META_STORE = 'meta';
+
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function promisifyTransaction(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    class TradeCache {
+        constructor() {
+            this.dbPromise = null;
+        }
+
+        static get SCHEMA_VERSION() {
+            return SCHEMA_VERSION;
+        }
+
+        // Lazily open the database, resolves to null when IndexedDB can't be used
+        open() {
+            if (this.dbPromise) return this.dbPromise;
+
+            if (typeof indexedDB === 'undefined') {
+                this.dbPromise = Promise.resolve(null);
+                return this.dbPromise;
+            }
+
+            this.dbPromise = new Promise(resolve => {
+                const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+
+                    // Start from scratch on every schema change
+                    Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+
+                    const trades = db.createObjectStore(TRADES_STORE, { keyPath: ['cacheKey', 'id'] });
+                    trades.createIndex('cacheKey', 'cacheKey', { unique: false });
+                    db.createObjectStore(META_STORE, { keyPath: 'cacheKey' });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('Trade cache unavailable:', request.error);
+                    resolve(null);
+                };
+                request.onblocked = () => {
+                    console.warn('Trade cache upgrade blocked by another open tab');
+                };
+            });
+
+            return this.dbPromise;
+        }
+
+        // Cached trades for a pair, oldest first
+        async getTrades(cacheKey) {
+            const db = await this.open();
+            if (!db) return [];
+
+            const transaction = db.transaction(TRADES_STORE, 'readonly');
+            const index = transaction.objectStore(TRADES_STORE).index('cacheKey');
+            const records = await promisifyRequest(index.getAll(IDBKeyRange.only(cacheKey)));
+
+            return records
+                .map(({ cacheKey: _cacheKey, ...trade }) => trade)
+                .sort((a, b) => a.timestamp - b.timestamp);
+        }
+
+        async putTrades(cacheKey, trades) {
+            const db = await this.open();
+            if (!db || trades.length === 0) return;
+
+            const transaction = db.transaction(TRADES_STORE, 'readwrite');
+            const store = transaction.objectStore(TRADES_STORE);
+
+            trades.forEach(trade => {
+                // Trades without an event id can't be keyed reliably
+                if (trade.id === undefined || trade.id === null) return;
+                store.put({ ...trade, cacheKey });
+            });
+
+            await promisifyTransaction(transaction);
+        }
+
+        // Per-pair bookkeeping such as whether older history is left on the server
+        async getMeta(cacheKey) {
+            const db = await this.open();
+            if (!db) return null;
+
+            const transaction = db.transaction(META_STORE, 'readonly');
+            return (await promisifyRequest(transaction.objectStore(META_STORE).get(cacheKey))) || null;
+        }
+
+        async putMeta(cacheKey, meta) {
+            const db = await this.open();
+            if (!db) return;
+
+            const transaction = db.transaction(META_STORE, 'readwrite');
+            transaction.objectStore(META_STORE).put({ ...meta, cacheKey });
+            await promisifyTransaction(transaction);
+        }
+
+        // Remove every cached trade for every pair and network
+        async clear() {
+            const db = await this.open();
+            if (!db) return;
+
+            const transaction = db.transaction([TRADES_STORE, META_STORE], 'readwrite');
+            transaction.objectStore(TRADES_STORE).clear();
+            transaction.objectStore(META_STORE).clear();
+            await promisifyTransaction(transaction);
+        }
+    }
+
+    return TradeCache;
+}));